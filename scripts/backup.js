@@ -0,0 +1,74 @@
+/**
+ * Export every movie, show, season, episode, and person page in the Notion databases to a JSON or
+ * CSV file, or restore the pages from an exported file.
+ *
+ * Usage: node scripts/backup.js export [--format json|csv] [--output <file>]
+ *        node scripts/backup.js restore <file> [--overwrite]
+ * (the export is printed if no output file is given; the restore format is read from the file extension,
+ * and --overwrite writes the backed up values back to the pages that still exist)
+ */
+const fs = require('fs');
+const path = require('path');
+const { backupFormats, exportPages, formatBackup, parseBackup, restorePages } = require('../src/services/backupService');
+
+const [command, ...args] = process.argv.slice(2);
+const formatIndex = args.indexOf('--format');
+const outputIndex = args.indexOf('--output');
+const format = formatIndex === -1 ? 'json' : args[formatIndex + 1];
+const outputPath = outputIndex === -1 ? null : args[outputIndex + 1];
+const overwrite = args.includes('--overwrite');
+// Arguments that are the values of options, not the file
+const optionValueIndexes = [formatIndex, outputIndex].filter(index => index !== -1).map(index => index + 1);
+const filePath = args.find((arg, index) => !arg.startsWith('--') && !optionValueIndexes.includes(index));
+
+if (!(command === 'export' && backupFormats.includes(format)) && !(command === 'restore' && filePath)) {
+    console.error(`Usage: node scripts/backup.js export [--format ${backupFormats.join('|')}] [--output <file>]`);
+    console.error('       node scripts/backup.js restore <file> [--overwrite]');
+    process.exit(1);
+}
+
+const exportBackup = async () => {
+    const records = await exportPages();
+    const content = formatBackup(records, format);
+
+    if (outputPath) {
+        fs.writeFileSync(outputPath, content);
+        console.log(`Exported ${records.length} pages to ${outputPath}`);
+    } else {
+        process.stdout.write(content);
+    }
+};
+
+const restoreBackup = async () => {
+    const fileFormat = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json';
+    const records = parseBackup(fs.readFileSync(filePath, 'utf8'), fileFormat);
+    console.log(`Restoring ${records.length} pages from ${filePath}...`);
+
+    const summary = await restorePages(records, { overwrite: overwrite });
+
+    console.log(`\nAlready in the database: ${summary.existing.length}`);
+    if (overwrite) {
+        console.log(`Overwritten: ${summary.overwritten.length}`);
+    }
+    console.log(`Restored from the trash: ${summary.restored.length}`);
+    console.log(`Recreated: ${summary.recreated.length}`);
+    if (summary.warnings.length) {
+        console.log(`Warnings: ${summary.warnings.length}`);
+        for (const { label, reason } of summary.warnings) {
+            console.log(`  ${label} - ${reason}`);
+        }
+    }
+    if (summary.failed.length) {
+        console.log(`Failed: ${summary.failed.length}`);
+        for (const { label, reason } of summary.failed) {
+            console.log(`  ${label} - ${reason}`);
+        }
+    }
+
+    process.exitCode = summary.failed.length ? 1 : 0;
+};
+
+(command === 'export' ? exportBackup() : restoreBackup()).catch(error => {
+    console.error(`Error running the ${command}:`, error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Import the titles listed in a CSV file, a Letterboxd export, an IMDb ratings export, or a Trakt
+ * JSON export into the Notion database, and print the rows that could not be matched.
+ *
+ * Usage: node scripts/importFile.js <file> [--format csv|letterboxd|imdb|trakt] [--dry-run]
+ * (the format is detected from the file if it isn't given; --dry-run only matches the titles)
+ */
+const fs = require('fs');
+const { importFormats, parseImportFile, importRows } = require('../src/services/importService');
+const { checkDatabaseSchema, printSchemaReport } = require('../src/services/notionSchemaService');
+const tmdbCache = require('../src/services/tmdbCache');
+
+const args = process.argv.slice(2);
+const formatIndex = args.indexOf('--format');
+const format = formatIndex === -1 ? null : args[formatIndex + 1];
+const dryRun = args.includes('--dry-run');
+const filePath = args.find((arg, index) => !arg.startsWith('--') && (formatIndex === -1 || index !== formatIndex + 1));
+
+if (!filePath || (formatIndex !== -1 && !importFormats.includes(format))) {
+    console.error(`Usage: node scripts/importFile.js <file> [--format ${importFormats.join('|')}] [--dry-run]`);
+    process.exit(1);
+}
+
+const importFile = async () => {
+    tmdbCache.init();
+    const report = await checkDatabaseSchema();
+    if (report.errors.length) {
+        printSchemaReport(report);
+        console.error('Not importing until the Notion database schema is fixed.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const { format: fileFormat, rows } = parseImportFile(filePath, fs.readFileSync(filePath, 'utf8'), format);
+    console.log(`Importing ${rows.length} rows from ${filePath} (${fileFormat})${dryRun ? ' as a dry run' : ''}...`);
+
+    const summary = await importRows(rows, dryRun);
+
+    console.log(`\n${dryRun ? 'Matched' : 'Imported'}: ${summary.imported.length}`);
+    console.log(`Already in the database: ${summary.duplicates.length}`);
+    console.log(`Unmatched: ${summary.unmatched.length}`);
+    for (const { label, reason } of summary.unmatched) {
+        console.log(`  ${label} - ${reason}`);
+    }
+    if (summary.failed.length) {
+        console.log(`Failed: ${summary.failed.length}`);
+        for (const { label, reason } of summary.failed) {
+            console.log(`  ${label} - ${reason}`);
+        }
+    }
+
+    process.exitCode = summary.failed.length ? 1 : 0;
+};
+
+importFile().catch(error => {
+    console.error('Error importing the file:', error.message);
+    process.exit(1);
+});
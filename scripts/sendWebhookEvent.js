@@ -0,0 +1,54 @@
+/**
+ * Post a signed sample Notion webhook event to the local server, to exercise the webhook route.
+ *
+ * Usage: node scripts/sendWebhookEvent.js <pageId> [eventType]
+ * (eventType defaults to "page.properties_updated")
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+const [pageId, eventType = 'page.properties_updated'] = process.argv.slice(2);
+const webhookUrl = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks/notion`;
+const webhookSecret = process.env.NOTION_WEBHOOK_SECRET;
+
+if (!pageId) {
+    console.error('Usage: node scripts/sendWebhookEvent.js <pageId> [eventType]');
+    process.exit(1);
+}
+
+if (!webhookSecret) {
+    console.error('NOTION_WEBHOOK_SECRET must be set to sign the sample event');
+    process.exit(1);
+}
+
+const event = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    workspace_id: crypto.randomUUID(),
+    subscription_id: crypto.randomUUID(),
+    integration_id: crypto.randomUUID(),
+    type: eventType,
+    authors: [{ id: crypto.randomUUID(), type: 'person' }],
+    attempt_number: 1,
+    entity: { id: pageId, type: 'page' },
+    data: {
+        parent: { id: process.env.NOTION_DATABASE_ID, type: 'database' },
+        updated_properties: ['title']
+    }
+};
+
+const body = JSON.stringify(event);
+const signature = 'sha256=' + crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+
+axios.post(webhookUrl, body, {
+    headers: {
+        'Content-Type': 'application/json',
+        'X-Notion-Signature': signature
+    }
+})
+    .then(response => console.log(`Sent ${eventType} event for page ${pageId}: ${response.status} ${response.statusText}`))
+    .catch(error => {
+        console.error('Error sending webhook event:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,49 @@
+/**
+ * Check the schema of the Notion databases, and offer to create the missing properties and
+ * select options the integration needs.
+ *
+ * Usage: node scripts/setupSchema.js [--yes]
+ * (--yes creates them without asking)
+ */
+const readline = require('readline/promises');
+const { checkDatabaseSchema, getFixedProperties, applySchemaFixes, printSchemaReport } = require('../src/services/notionSchemaService');
+
+const confirm = async (question) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await rl.question(`${question} [y/N] `);
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+};
+
+const setupSchema = async () => {
+    let report = await checkDatabaseSchema();
+    printSchemaReport(report);
+
+    const fixedProperties = getFixedProperties(report);
+    if (!fixedProperties.length && !report.errors.length) {
+        return;
+    }
+
+    if (fixedProperties.length) {
+        console.log(`\nThe following properties can be created or updated: ${fixedProperties.map(name => `"${name}"`).join(', ')}.`);
+    }
+    console.log('Missing rollups are created once their relations exist.');
+
+    if (!process.argv.includes('--yes') && !await confirm('Update the Notion database?')) {
+        return;
+    }
+
+    const updatedProperties = await applySchemaFixes(report);
+    console.log(updatedProperties.length
+        ? `Updated the properties ${updatedProperties.map(name => `"${name}"`).join(', ')}.\n`
+        : 'Nothing to update.\n');
+
+    report = await checkDatabaseSchema();
+    printSchemaReport(report);
+    process.exitCode = report.errors.length ? 1 : 0;
+};
+
+setupSchema().catch(error => {
+    console.error('Error setting up the Notion database schema:', error.message);
+    process.exit(1);
+});
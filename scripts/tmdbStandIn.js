@@ -0,0 +1,137 @@
+/**
+ * Run a local stand-in for the TMDB API to test the account sync without touching a real TMDB
+ * account. It serves the watchlist and ratings of a fake account from a fixture file, keeps the
+ * ratings the integration pushes in memory (and logs them), and forwards every other request to
+ * TMDB with the TMDB_API_KEY. Point the integration to it with TMDB_API_URL=http://localhost:<port>/3.
+ *
+ * Usage: node scripts/tmdbStandIn.js [fixtureFile] [--port 4010]
+ *
+ * The fixture file lists the account titles by media type, e.g.:
+ * { "watchlist": { "movie": [{ "id": 603, "title": "The Matrix" }], "tv": [] },
+ *   "rated": { "movie": [{ "id": 949, "title": "Heat", "rating": 9 }], "tv": [] } }
+ *
+ * GET /state returns the current watchlist and ratings, and PUT /state replaces them (with the
+ * same format as the fixture file), to simulate changes made on the TMDB website.
+ */
+const fs = require('fs');
+const axios = require('axios');
+const express = require('express');
+require('dotenv').config();
+
+const tmdbUrl = 'https://api.themoviedb.org/3';
+const pageSize = 20;
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const port = portIndex === -1 ? 4010 : parseInt(args[portIndex + 1]);
+const fixtureFile = args.find((arg, index) => !arg.startsWith('--') && (portIndex === -1 || index !== portIndex + 1));
+
+if (portIndex !== -1 && !(port > 0)) {
+    console.error('Usage: node scripts/tmdbStandIn.js [fixtureFile] [--port 4010]');
+    process.exit(1);
+}
+
+/**
+ * Load the account watchlist and ratings from the fixture file "file", exiting if it can't be
+ * read or doesn't list the titles by media type.
+ * @param {string} file
+ * @returns {*}
+ */
+function loadFixture(file) {
+    let fixture;
+    try {
+        fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Error loading the fixture file ${file}:`, error.message);
+        process.exit(1);
+    }
+
+    for (const list of ['watchlist', 'rated']) {
+        for (const mediaType of ['movie', 'tv']) {
+            const items = fixture[list]?.[mediaType] ?? [];
+            if (!Array.isArray(items) || items.some(item => typeof item?.id !== 'number')) {
+                console.error(`Error loading the fixture file ${file}: "${list}.${mediaType}" must be a list of titles with a numeric "id".`);
+                process.exit(1);
+            }
+        }
+    }
+
+    return {
+        watchlist: { movie: fixture.watchlist?.movie ?? [], tv: fixture.watchlist?.tv ?? [] },
+        rated: { movie: fixture.rated?.movie ?? [], tv: fixture.rated?.tv ?? [] }
+    };
+}
+
+let state = { watchlist: { movie: [], tv: [] }, rated: { movie: [], tv: [] } };
+if (fixtureFile) {
+    state = loadFixture(fixtureFile);
+    const count = (lists) => lists.movie.length + lists.tv.length;
+    console.log(`Loaded ${count(state.watchlist)} watchlist titles and ${count(state.rated)} ratings from ${fixtureFile}`);
+}
+
+// Media type of each account list path
+const listMediaTypes = { movies: 'movie', tv: 'tv' };
+
+const app = express();
+app.use(express.json());
+
+app.get('/state', (req, res) => {
+    res.json(state);
+});
+
+app.put('/state', (req, res) => {
+    state = { ...state, ...req.body };
+    res.json(state);
+});
+
+app.get('/3/account/:accountId/:list(watchlist|rated)/:listPath(movies|tv)', (req, res) => {
+    const items = state[req.params.list][listMediaTypes[req.params.listPath]] ?? [];
+    const page = parseInt(req.query.page) || 1;
+
+    res.json({
+        page: page,
+        results: items.slice((page - 1) * pageSize, page * pageSize),
+        total_pages: Math.max(1, Math.ceil(items.length / pageSize)),
+        total_results: items.length
+    });
+});
+
+app.post('/3/:mediaType(movie|tv)/:id/rating', (req, res) => {
+    const { mediaType, id } = req.params;
+    const items = state.rated[mediaType];
+    const item = items.find(item => item.id === Number(id));
+
+    if (item) {
+        item.rating = req.body.value;
+    } else {
+        items.push({ id: Number(id), rating: req.body.value });
+    }
+
+    console.log(`Rated ${mediaType}/${id}: ${req.body.value}`);
+    res.status(201).json({ success: true, status_code: 1, status_message: 'Success.' });
+});
+
+app.delete('/3/:mediaType(movie|tv)/:id/rating', (req, res) => {
+    const { mediaType, id } = req.params;
+    state.rated[mediaType] = state.rated[mediaType].filter(item => item.id !== Number(id));
+
+    console.log(`Removed the rating of ${mediaType}/${id}`);
+    res.json({ success: true, status_code: 13, status_message: 'The item/record was deleted successfully.' });
+});
+
+// Metadata requests are answered by TMDB itself
+app.get('/3/*', async (req, res) => {
+    try {
+        const response = await axios.get(`${tmdbUrl}/${req.params[0]}`, {
+            headers: { accept: 'application/json', Authorization: `Bearer ${process.env.TMDB_API_KEY}` },
+            params: req.query
+        });
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        res.status(error.response?.status ?? 502).json(error.response?.data ?? { status_message: error.message });
+    }
+});
+
+app.listen(port, () => {
+    console.log(`TMDB stand-in listening on http://localhost:${port}/3`);
+});
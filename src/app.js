@@ -1,9 +1,122 @@
 const schedule = require('node-schedule');
 const notionService = require('./services/notionService');
 const tmdbService = require('./services/tmdbService');
+const tmdbClient = require('./services/tmdbClient');
+const notionSchemaService = require('./services/notionSchemaService');
+const tmdbAccountService = require('./services/tmdbAccountService');
 
-// Keep track of pages currently being updated to avoid updating them again
-const updatingPages = new Set();
+// Keep track of pages currently being updated (and the job updating them) to avoid updating them again
+const updatingPages = new Map();
+
+// Most recent failed page updates, newest first
+const recentFailures = [];
+const maxRecentFailures = 50;
+let unreleasedUpdateRunning = false;
+let accountSyncRunning = false;
+
+// Pages changed according to webhook events, waiting to be handled (in order)
+const changedPages = new Set();
+let handlingChangedPages = false;
+
+// Whether the database schema was validated and syncing started
+let syncStarted = false;
+
+// When pages were last checked for picked recommendations, and episodes for watch progress changes
+let lastRecommendationsCheck = new Date();
+let lastWatchProgressCheck = new Date();
+
+// Edit time of the pages already checked for picked recommendations, since each edited page is
+// listed again by the polls within a minute of its edit (Notion rounds edit times to the minute)
+const checkedRecommendationPages = new Map();
+
+// Edit time of the pages waiting for a search result pick when they were last checked
+const checkedPickPages = new Map();
+
+// ID of the integration's bot user, whose own edits are skipped
+let botUserIdPromise = null;
+
+// Poll every 5 seconds, or every 5 minutes as a fallback when webhooks are set up
+const pollingInterval = (parseInt(process.env.POLLING_INTERVAL) || (process.env.NOTION_WEBHOOK_SECRET ? 300 : 5)) * 1000;
+
+// Sync the TMDB account every 15 minutes by default
+const accountSyncInterval = (parseInt(process.env.TMDB_ACCOUNT_SYNC_INTERVAL) || 15) * 60 * 1000;
+
+/**
+ * Run "update" for the page with ID "pageId" as part of the job "job" (e.g. 'import' or 'refresh'),
+ * unless the page is already being updated.
+ * @param {string} pageId 
+ * @param {string} job 
+ * @param {Function} update 
+ */
+const runPageUpdate = async (pageId, job, update) => {
+    // Skip pages that are already being updated
+    if (updatingPages.has(pageId)) {
+        return;
+    }
+    updatingPages.set(pageId, { job: job, startedAt: new Date().toISOString() });
+
+    try {
+        await update();
+    } finally {
+        updatingPages.delete(pageId);
+    }
+};
+
+/**
+ * Record a failed update of the page with ID "pageId" so it can be inspected through the admin API.
+ * @param {string} pageId 
+ * @param {string} message 
+ */
+const recordFailure = (pageId, message) => {
+    recentFailures.unshift({
+        pageId: pageId,
+        job: updatingPages.get(pageId)?.job ?? null,
+        message: message,
+        failedAt: new Date().toISOString()
+    });
+    recentFailures.splice(maxRecentFailures);
+};
+
+/**
+ * Update the Notion page "page" with "details", recording a failure if "details" is an error.
+ * @param {*} page 
+ * @param {*} details 
+ * @param {boolean} updateExistingForTv 
+ */
+const updateDatabase = async (page, details, updateExistingForTv = false) => {
+    if (details.error) {
+        recordFailure(page.id, details.error);
+    }
+    await notionService.updateDatabase(page, details, updateExistingForTv);
+};
+
+/**
+ * Rethrow "error" if a page could not be written to Notion, so it is recorded as a Notion failure
+ * instead of being written to the page as a TMDB error.
+ * @param {*} error 
+ */
+const rethrowNotionWriteError = (error) => {
+    if (error instanceof notionService.NotionWriteError) {
+        throw error;
+    }
+};
+
+/**
+ * Retrieve details for the query in the title of "page" from TMDB, and update the Notion page
+ * with the TMDB data.
+ * @param {*} page 
+ */
+const updatePage = async (page) => {
+    const queryString = notionService.getPageTitle(page);
+
+    try {
+        const details = await tmdbService.fetchTMDBDetails(queryString);
+        await updateDatabase(page, details);
+    } catch (error) {
+        console.error('Error updating Notion database:', error);
+        recordFailure(page.id, error.message);
+    }
+};
 
 /**
  * Check for updates in the Notion database, retrieve details for the updated
@@ -14,298 +127,759 @@ const checkForUpdates = async () => {
     const pages = await notionService.fetchUpdatedPages();
 
     for (const page of pages ?? []) {
-        const queryString = page.properties.Title.title[0].text.content;
-        const pageId = page.id;
+        await runPageUpdate(page.id, 'import', () => updatePage(page));
+    }
+};
+
+/**
+ * If the user picked one of several ambiguous search results on "page", resume the import with
+ * the TMDB ID of the chosen result.
+ * @param {*} page 
+ */
+const importPickedResult = async (page) => {
+    try {
+        const pickedCandidate = await notionService.getPickedCandidate(page);
+        if (!pickedCandidate) {
+            return;
+        }
+
+        const { queryString, id, mediaType } = pickedCandidate;
+        const details = await tmdbService.fetchTMDBDetails(queryString, { id: id, mediaType: mediaType });
+        await updateDatabase(page, details);
+    } catch (error) {
+        console.error('Error importing picked search result:', error);
+        recordFailure(page.id, error.message);
+    }
+};
+
+/**
+ * Get the ID of the integration's bot user (fetched once), or null if it can't be fetched.
+ * @returns 
+ */
+const getBotUserId = async () => {
+    botUserIdPromise = botUserIdPromise ?? notionService.fetchBotUserId();
+    const botUserId = await botUserIdPromise;
+    if (!botUserId) {
+        botUserIdPromise = null; // Try again next time
+    }
+    return botUserId ?? null;
+};
+
+/**
+ * Check if "page" was last edited by the integration itself (e.g. when it added a callout), so
+ * the user hasn't changed anything on it since.
+ * @param {*} page 
+ * @param {string} botUserId 
+ * @returns {boolean}
+ */
+const isEditedByIntegration = (page, botUserId) => {
+    return Boolean(botUserId) && page.last_edited_by?.id === botUserId;
+};
+
+/**
+ * Check for pages where the user picked one of several ambiguous search results, and resume
+ * the import with the TMDB ID of the chosen result. Pages are only checked again once the user
+ * edited them (e.g. by checking a search result).
+ */
+const checkForPicks = async () => {
+    // Get pages waiting for a search result pick from Notion database
+    const pages = await notionService.fetchPendingPickPages();
+    if (!pages) {
+        return;
+    }
 
-        // Skip pages that are already being updated
-        if (updatingPages.has(pageId)) {
+    const botUserId = await getBotUserId();
+    for (const page of pages) {
+        if (isEditedByIntegration(page, botUserId) || checkedPickPages.get(page.id) === page.last_edited_time) {
             continue;
         }
-        updatingPages.add(pageId);
 
-        try {
-            const details = await tmdbService.fetchTMDBDetails(queryString);
-            await notionService.updateDatabase(page, details);
-        } catch (error) {
-            console.error('Error updating Notion database:', error);
-        } finally {
-            updatingPages.delete(pageId);
+        await runPageUpdate(page.id, 'pick', async () => {
+            checkedPickPages.set(page.id, page.last_edited_time);
+            await importPickedResult(page);
+        });
+    }
+
+    // Forget the pages that are no longer waiting for a pick
+    const listedPageIds = new Set(pages.map(page => page.id));
+    for (const pageId of checkedPickPages.keys()) {
+        if (!listedPageIds.has(pageId)) {
+            checkedPickPages.delete(pageId);
         }
     }
 };
 
 /**
- * Check for unreleased content in the Notion database, retrieve details for these
- * pages from TMDB, and update the Notion pages with the TMDB data.
+ * Check the recently edited pages for recommended titles the user checked, and create a request
+ * page for each of them.
  */
-const updateUnreleasedContent = async () => {
-    // Get unreleased pages from Notion database
-    const pages = await notionService.fetchUnreleasedPages();
+const checkForRecommendationPicks = async () => {
+    if (!notionService.recommendationsEnabled) {
+        return;
+    }
 
-    for (const page of pages ?? []) {
-        const pageId = page.id;
-        const tmdbId = page.properties['TMDB ID'].number;
-        const type = page.properties['Type'].select.name;
+    const checkStartedAt = new Date();
+    const pages = await notionService.fetchRecentlyEditedPages(lastRecommendationsCheck);
+    if (!pages) {
+        return; // Check the same pages again next time
+    }
+
+    const botUserId = await getBotUserId();
+    for (const page of pages) {
+        // Pages last edited by the integration (e.g. by the daily update, or a handled pick) have no new picks
+        if (isEditedByIntegration(page, botUserId) || checkedRecommendationPages.get(page.id) === page.last_edited_time) {
+            continue;
+        }
+
+        await runPageUpdate(page.id, 'recommendations', async () => {
+            await notionService.importPickedRecommendations(page);
+            checkedRecommendationPages.set(page.id, page.last_edited_time);
+        });
+    }
+
+    // Forget the pages that are no longer listed
+    const listedPageIds = new Set(pages.map(page => page.id));
+    for (const pageId of checkedRecommendationPages.keys()) {
+        if (!listedPageIds.has(pageId)) {
+            checkedRecommendationPages.delete(pageId);
+        }
+    }
+    lastRecommendationsCheck = checkStartedAt;
+};
+
+/**
+ * Update the watch progress of the TV show or miniseries page "showPage" from its episodes.
+ * @param {*} showPage 
+ */
+const updateWatchProgress = async (showPage) => {
+    try {
+        await notionService.updateWatchProgress(showPage);
+    } catch (error) {
+        console.error('Error updating watch progress:', error);
+        recordFailure(showPage.id, error.message);
+    }
+};
+
+/**
+ * Check the recently edited episode pages (e.g. checked as watched), and update the watch progress
+ * of their shows.
+ */
+const checkForWatchProgress = async () => {
+    if (!notionService.watchProgressEnabled) {
+        return;
+    }
+
+    const checkStartedAt = new Date();
+    const episodePages = await notionService.fetchRecentlyEditedEpisodePages(lastWatchProgressCheck);
+    if (!episodePages) {
+        return; // Check the same pages again next time
+    }
 
-        // Skip pages that are already being updated (highly unlikely since daily update runs at 3:00 AM)
-        if (updatingPages.has(pageId)) {
+    // Episodes of the same season (or miniseries) share a show, which is only looked up once
+    const showPages = new Map();
+    const parentPageIds = new Set();
+    for (const episodePage of episodePages) {
+        const parentPageId = notionService.getPropertyValue(episodePage, 'show')?.[0] ?? notionService.getPropertyValue(episodePage, 'season')?.[0];
+        if (!parentPageId || parentPageIds.has(parentPageId)) {
             continue;
         }
-        updatingPages.add(pageId);
+        parentPageIds.add(parentPageId);
 
         try {
-            if (type === 'Movie') {
-                try {
-                    const { movieData } = await tmdbService.fetchMovieDetails(tmdbId);
-                    const movieDetails = tmdbService.constructDetails(movieData, false);
-                    await notionService.updateDatabase(page, movieDetails);
-                } catch (error) {
-                    console.error('Error auto-updating an unreleased movie:', error);
-                    const details = { error: 'An error occurred while auto-updating an unreleased movie! Ensure the TMDB ID was not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
-                }
-            } else if (type === 'Television') {
-                const seasonNumbersProperty = await notionService.fetchProperty(pageId, page.properties['Season Numbers'].id);
-                const currentSeasons = seasonNumbersProperty.results.map(season => season.number);
+            const showPage = await notionService.getShowPageFromEpisode(episodePage);
+            showPages.set(showPage.id, showPage);
+        } catch (error) {
+            console.error('Error fetching the show of an edited episode:', error);
+        }
+    }
 
-                try {
-                    const { showData, seasonsData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, currentSeasons.length ? true : false, currentSeasons);
-                    const showDetails = tmdbService.constructDetails(showData, true);
-                    if (seasonsData) {
-                        const showDetailsPromises = seasonsData.map(async seasonData => {
-                            return await tmdbService.constructSeasonDetails(seasonData, showData);
-                        });
-                        showDetails.seasons = await Promise.all(showDetailsPromises);
-                    }
-                    await notionService.updateDatabase(page, showDetails);
-                } catch (error) {
-                    console.error('Error auto-updating a returning TV show:', error);
-                    const details = { error: 'An error occurred while auto-updating a returning TV show! Ensure the TMDB ID was not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
+    for (const showPage of showPages.values()) {
+        await runPageUpdate(showPage.id, 'progress', () => updateWatchProgress(showPage));
+    }
+    lastWatchProgressCheck = checkStartedAt;
+};
+
+/**
+ * Update the watch progress of every TV show and miniseries in the Notion database, since
+ * episodes that air change it without any page being edited.
+ */
+const updateAllWatchProgress = async () => {
+    const pages = await notionService.fetchWatchProgressPages();
+
+    for (const page of pages ?? []) {
+        await runPageUpdate(page.id, 'progress', () => updateWatchProgress(page));
+    }
+};
+
+/**
+ * Retrieve details for the unreleased content "page" from TMDB (in the language and region it was
+ * imported in), and update the Notion page with the TMDB data.
+ * @param {*} page 
+ */
+const updateUnreleasedPage = (page) => tmdbClient.withLocale(notionService.getPageLocale(page), async () => {
+    const tmdbId = notionService.getPropertyValue(page, 'tmdbId');
+    const type = notionService.getPropertyValue(page, 'type');
+
+    try {
+        if (type === 'Movie') {
+            try {
+                const { movieData } = await tmdbService.fetchMovieDetails(tmdbId);
+                const movieDetails = tmdbService.constructDetails(movieData, false);
+                await updateDatabase(page, movieDetails);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error auto-updating an unreleased movie:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while auto-updating an unreleased movie!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Television') {
+            const currentSeasons = await notionService.fetchRollupValues(page, 'seasonNumbers');
+
+            try {
+                const { showData, seasonsData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, currentSeasons.length ? true : false, currentSeasons);
+                const showDetails = tmdbService.constructDetails(showData, true);
+                if (seasonsData) {
+                    const showDetailsPromises = seasonsData.map(async seasonData => {
+                        return await tmdbService.constructSeasonDetails(seasonData, showData);
+                    });
+                    showDetails.seasons = await Promise.all(showDetailsPromises);
                 }
-            } else if (type === 'Television Season') {
+                await updateDatabase(page, showDetails);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error auto-updating a returning TV show:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while auto-updating a returning TV show!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Television Season') {
+            try {
+                const showId = await notionService.getTMDBShowIdFromSeason(page);
+                const seasonNumber = notionService.getPropertyValue(page, 'seasonNumber');
+                const currentEpisodes = await notionService.fetchRollupValues(page, 'episodeNumbers');
+
                 try {
-                    const showId = await notionService.getTMDBShowIdFromSeason(page);
-                    const seasonNumber = page.properties['Season Number'].number;
-                    const episodeNumbersProperty = await notionService.fetchProperty(pageId, page.properties['Episode Numbers'].id);
-                    const currentEpisodes = episodeNumbersProperty.results.map(episode => episode.number);
-
-                    try {
-                        const { seasonData } = await tmdbService.fetchTelevisionSeasonDetails(showId, seasonNumber, null, currentEpisodes.length ? true : false, currentEpisodes);
-                        const seasonDetails = await tmdbService.constructSeasonDetails(seasonData, null, showId);
-                        await notionService.updateDatabase(page, seasonDetails);
-                    } catch (error) {
-                        console.error('Error auto-updating an unreleased TV season:', error);
-                        const details = { error: 'An error occurred while auto-updating an unreleased TV season! Ensure the TMDB ID of this season\'s parent show and the Season Number were not altered by mistake.' };
-                        await notionService.updateDatabase(page, details);
-                    }
+                    const { seasonData } = await tmdbService.fetchTelevisionSeasonDetails(showId, seasonNumber, null, currentEpisodes.length ? true : false, currentEpisodes);
+                    const seasonDetails = await tmdbService.constructSeasonDetails(seasonData, null, showId);
+                    await updateDatabase(page, seasonDetails);
                 } catch (error) {
+                    rethrowNotionWriteError(error);
                     console.error('Error auto-updating an unreleased TV season:', error);
-                    const details = { error: 'An error ocurred while auto-updating an unreleased TV season! The TMDB ID of this season\'s parent show could not be found.' };
-                    await notionService.updateDatabase(page, details);
+                    const details = { error: tmdbClient.describeError(error, 'An error occurred while auto-updating an unreleased TV season!', 'Ensure the TMDB ID of this season\'s parent show and the Season Number were not altered by mistake.') };
+                    await updateDatabase(page, details);
                 }
-            } else if (type === 'Television Episode') {
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error auto-updating an unreleased TV season:', error);
+                const details = { error: 'An error ocurred while auto-updating an unreleased TV season! The TMDB ID of this season\'s parent show could not be found.' };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Television Episode') {
+            try {
+                const showId = await notionService.getTMDBShowIdFromEpisode(page);
+                const seasonNumber = notionService.getPropertyValue(page, 'seasonNumber');
+                const episodeNumber = notionService.getPropertyValue(page, 'episodeNumber');
+
                 try {
-                    const showId = await notionService.getTMDBShowIdFromEpisode(page);
-                    const seasonNumber = page.properties['Season Number'].number;
-                    const episodeNumber = page.properties['Episode Number'].number;
-
-                    try {
-                        const { episodeData } = await tmdbService.fetchTelevisionEpisodeDetails(showId, seasonNumber, episodeNumber);
-                        const episodeDetails = await tmdbService.constructEpisodeDetails(episodeData, null, null, showId, seasonNumber);
-                        await notionService.updateDatabase(page, episodeDetails);
-                    } catch (error) {
-                        console.error('Error auto-updating an unreleased TV episode:', error);
-                        const details = { error: 'An error occurred while auto-updating an unreleased TV episode! Ensure the TMDB ID of this episode\'s parent show, the Season Number, and the Episode Number were not altered by mistake.' };
-                        await notionService.updateDatabase(page, details);
-                    }
+                    const { episodeData } = await tmdbService.fetchTelevisionEpisodeDetails(showId, seasonNumber, episodeNumber);
+                    const episodeDetails = await tmdbService.constructEpisodeDetails(episodeData, null, null, showId, seasonNumber);
+                    await updateDatabase(page, episodeDetails);
                 } catch (error) {
+                    rethrowNotionWriteError(error);
                     console.error('Error auto-updating an unreleased TV episode:', error);
-                    const details = { error: 'An error ocurred while auto-updating an unreleased TV episode! The TMDB ID of this episode\'s parent show could not be found.' };
-                    await notionService.updateDatabase(page, details);
+                    const details = { error: tmdbClient.describeError(error, 'An error occurred while auto-updating an unreleased TV episode!', 'Ensure the TMDB ID of this episode\'s parent show, the Season Number, and the Episode Number were not altered by mistake.') };
+                    await updateDatabase(page, details);
                 }
-            } else if (type === 'Miniseries') {
-                try {
-                    const episodeNumbersProperty = await notionService.fetchProperty(pageId, page.properties['Episode Numbers'].id);
-                    const currentEpisodes = episodeNumbersProperty.results.map(episode => episode.number);
-
-                    const { showData, seasonData, episodesData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, false, [], currentEpisodes.length ? true : false, currentEpisodes);
-                    const showDetails = tmdbService.constructDetails(showData, true);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error auto-updating an unreleased TV episode:', error);
+                const details = { error: 'An error ocurred while auto-updating an unreleased TV episode! The TMDB ID of this episode\'s parent show could not be found.' };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Miniseries') {
+            try {
+                const currentEpisodes = await notionService.fetchRollupValues(page, 'episodeNumbers');
 
-                    if (seasonData && episodesData) {
-                        const seasonDetails = await tmdbService.constructSeasonDetails(seasonData, showData);
+                const { showData, seasonData, episodesData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, false, [], currentEpisodes.length ? true : false, currentEpisodes);
+                const showDetails = tmdbService.constructDetails(showData, true);
 
-                        const episodesPromises = episodesData.map(async episodeData => {
-                            return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData);
-                        });
-                        seasonDetails.episodes = await Promise.all(episodesPromises);
+                if (seasonData && episodesData) {
+                    const seasonDetails = await tmdbService.constructSeasonDetails(seasonData, showData);
 
-                        showDetails.seasons = [seasonDetails];
-                    }
+                    const episodesPromises = episodesData.map(async episodeData => {
+                        return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData);
+                    });
+                    seasonDetails.episodes = await Promise.all(episodesPromises);
 
-                    await notionService.updateDatabase(page, showDetails);
-                } catch (error) {
-                    console.error('Error auto-updating an unreleased miniseries:', error);
-                    const details = { error: 'An error occurred while auto-updating an unreleased miniseries! Ensure the TMDB ID was not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
+                    showDetails.seasons = [seasonDetails];
                 }
+
+                await updateDatabase(page, showDetails);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error auto-updating an unreleased miniseries:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while auto-updating an unreleased miniseries!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
             }
-        } catch (error) {
-            console.error('Error updating unreleased content in Notion database:', error);
-        } finally {
-            updatingPages.delete(pageId);
         }
+    } catch (error) {
+        console.error('Error updating unreleased content in Notion database:', error);
+        recordFailure(page.id, error.message);
+    }
+});
+
+/**
+ * Check for unreleased content in the Notion database, retrieve details for these
+ * pages from TMDB, and update the Notion pages with the TMDB data.
+ */
+const updateUnreleasedContent = async () => {
+    unreleasedUpdateRunning = true;
+
+    try {
+        // Get unreleased pages from Notion database
+        const pages = await notionService.fetchUnreleasedPages();
+
+        for (const page of pages ?? []) {
+            // Pages already being updated are skipped (highly unlikely since daily update runs at 3:00 AM)
+            await runPageUpdate(page.id, 'unreleased', () => updateUnreleasedPage(page));
+        }
+    } finally {
+        unreleasedUpdateRunning = false;
     }
 };
 
-const checkForRefreshRequests = async () => {
-    const pages = await notionService.fetchNeedsRefreshPages();
+/**
+ * Refresh the watch providers of the movies and TV shows in the Notion database that haven't
+ * been watched yet (bypassing the TMDB cache, since availability changes often).
+ */
+const refreshWatchProviders = () => tmdbClient.bypassCache(async () => {
+    const pages = await notionService.fetchWatchProviderPages();
 
     for (const page of pages ?? []) {
-        const pageId = page.id;
-        const tmdbId = page.properties['TMDB ID'].number;
-        const type = page.properties['Type'].select.name;
+        await runPageUpdate(page.id, 'providers', () => tmdbClient.withLocale(notionService.getPageLocale(page), async () => {
+            try {
+                const tmdbId = notionService.getPropertyValue(page, 'tmdbId');
+                const isTelevision = notionService.getPropertyValue(page, 'type') !== 'Movie';
+                const providers = await tmdbService.fetchWatchProviders(tmdbId, isTelevision);
+                await notionService.updateWatchProviders(page.id, providers);
+            } catch (error) {
+                console.error('Error refreshing watch providers:', error);
+                recordFailure(page.id, tmdbClient.describeError(error, 'An error occurred while refreshing watch providers!'));
+            }
+        }));
+    }
+});
 
-        // Skip pages that are already being updated
-        if (updatingPages.has(pageId)) {
-            continue;
+/**
+ * Sync the TMDB account watchlist and ratings with the Notion database (skipped if a sync is
+ * still running).
+ */
+const syncTMDBAccount = async () => {
+    if (accountSyncRunning) {
+        return;
+    }
+    accountSyncRunning = true;
+
+    try {
+        const summary = await tmdbAccountService.syncAccount();
+        for (const { key, notionRating, tmdbRating, kept } of summary.conflicts) {
+            console.log(`Rating of ${key} changed in Notion (${notionRating}) and on TMDB (${tmdbRating}), kept the ${kept === 'notion' ? 'Notion' : 'TMDB'} rating.`);
+        }
+        for (const { label, reason } of summary.failed) {
+            console.error(`Error syncing ${label} with the TMDB account: ${reason}`);
         }
-        updatingPages.add(pageId);
+    } catch (error) {
+        console.error('Error syncing the TMDB account:', error);
+    } finally {
+        accountSyncRunning = false;
+    }
+};
 
-        try {
-            if (type === 'Movie') {
-                try {
-                    const { movieData } = await tmdbService.fetchMovieDetails(tmdbId);
-                    const movieDetails = tmdbService.constructDetails(movieData, false);
-                    await notionService.updateDatabase(page, movieDetails);
-                } catch (error) {
-                    console.error('Error refreshing movie metadata:', error);
-                    const details = { error: 'An error occurred while refreshing movie metadata! Ensure the TMDB ID was not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
+/**
+ * Retrieve fresh details for "page" from TMDB (bypassing the TMDB cache so a manual refresh
+ * always gets fresh data, in the language and region it was imported in), and update the Notion
+ * page with the TMDB data.
+ * @param {*} page 
+ */
+const refreshPage = (page) => tmdbClient.bypassCache(() => tmdbClient.withLocale(notionService.getPageLocale(page), async () => {
+    const tmdbId = notionService.getPropertyValue(page, 'tmdbId');
+    const type = notionService.getPropertyValue(page, 'type');
+
+    try {
+        if (type === 'Movie') {
+            try {
+                const { movieData } = await tmdbService.fetchMovieDetails(tmdbId);
+                const movieDetails = tmdbService.constructDetails(movieData, false);
+                await updateDatabase(page, movieDetails);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing movie metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing movie metadata!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Television') {
+            try {
+                const seasonNumbers = await notionService.fetchRollupValues(page, 'seasonNumbers');
+                const includeSeasons = seasonNumbers.length > 0;
+                const includeEpisodes = await notionService.fetchRollupNumber(page, 'episodesCount') > 0;
+
+                const { showData, seasonsData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, includeSeasons, [], includeEpisodes);
+                const showDetails = tmdbService.constructDetails(showData, true);
+
+                if (seasonsData) {
+                    const seasonsPromises = seasonsData.map(async seasonData => {
+                        const seasonDetails = await tmdbService.constructSeasonDetails(seasonData.seasonData ?? seasonData, showData);
+                        if (seasonData.episodesData) {
+                            const episodesPromises = seasonData.episodesData.map(async episodeData => {
+                                return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData.seasonData)
+                            });
+                            seasonDetails.episodes = await Promise.all(episodesPromises);
+                        }
+                        return seasonDetails;
+                    });
+                    showDetails.seasons = await Promise.all(seasonsPromises);
                 }
-            } else if (type === 'Television') {
-                try {
-                    const seasonNumbersProperty = await notionService.fetchProperty(pageId, page.properties['Season Numbers'].id);
-                    const includeSeasons = seasonNumbersProperty.results.length > 0;
-                    const episodesCountProperty = await notionService.fetchProperty(pageId, page.properties['Episodes Count'].id);
-                    const includeEpisodes = episodesCountProperty.property_item.rollup.number > 0;
-
-                    const { showData, seasonsData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, includeSeasons, [], includeEpisodes);
-                    const showDetails = tmdbService.constructDetails(showData, true);
-
-                    if (seasonsData) {
-                        const seasonsPromises = seasonsData.map(async seasonData => {
-                            const seasonDetails = await tmdbService.constructSeasonDetails(seasonData.seasonData ?? seasonData, showData);
-                            if (seasonData.episodesData) {
-                                const episodesPromises = seasonData.episodesData.map(async episodeData => {
-                                    return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData.seasonData)
-                                });
-                                seasonDetails.episodes = await Promise.all(episodesPromises);
-                            }
-                            return seasonDetails;
-                        });
-                        showDetails.seasons = await Promise.all(seasonsPromises);
-                    }
 
-                    await notionService.updateDatabase(page, showDetails, true);
-                } catch (error) {
-                    console.error('Error refreshing TV show metadata:', error);
-                    const details = { error: 'An error occurred while refreshing TV show metadata! Ensure the TMDB ID was not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
+                await updateDatabase(page, showDetails, true);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing TV show metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing TV show metadata!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Television Season') {
+            try {
+                const showId = await notionService.getTMDBShowIdFromSeason(page);
+                const seasonNumber = notionService.getPropertyValue(page, 'seasonNumber');
+                const episodeNumbers = await notionService.fetchRollupValues(page, 'episodeNumbers');
+                const includeEpisodes = episodeNumbers.length > 0;
+
+                const { showData } = await tmdbService.fetchTelevisionShowDetails(showId);
+                const { seasonData, episodesData } = await tmdbService.fetchTelevisionSeasonDetails(showId, seasonNumber, includeEpisodes);
+                const seasonDetails = await tmdbService.constructSeasonDetails(seasonData, showData);
+
+                if (episodesData) {
+                    const episodesPromises = episodesData.map(async episodeData => {
+                        return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData);
+                    });
+                    seasonDetails.episodes = await Promise.all(episodesPromises);
                 }
-            } else if (type === 'Television Season') {
-                try {
-                    const showId = await notionService.getTMDBShowIdFromSeason(page);
-                    const seasonNumber = page.properties['Season Number'].number;
-                    const episodeNumbersProperty = await notionService.fetchProperty(pageId, page.properties['Episode Numbers'].id);
-                    const includeEpisodes = episodeNumbersProperty.results.length > 0;
-
-                    const { showData } = await tmdbService.fetchTelevisionShowDetails(showId);
-                    const { seasonData, episodesData } = await tmdbService.fetchTelevisionSeasonDetails(showId, seasonNumber, includeEpisodes);
-                    const seasonDetails = await tmdbService.constructSeasonDetails(seasonData, showData);
 
-                    if (episodesData) {
-                        const episodesPromises = episodesData.map(async episodeData => {
-                            return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData);
+                await updateDatabase(page, seasonDetails, true);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing TV season metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing TV season metadata!', 'Ensure the TMDB ID of this season\'s parent show and the Season Number were not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Television Episode') {
+            try {
+                const showId = await notionService.getTMDBShowIdFromEpisode(page);
+                const seasonNumber = notionService.getPropertyValue(page, 'seasonNumber');
+                const episodeNumber = notionService.getPropertyValue(page, 'episodeNumber');
+
+                const { episodeData } = await tmdbService.fetchTelevisionEpisodeDetails(showId, seasonNumber, episodeNumber);
+                const episodeDetails = await tmdbService.constructEpisodeDetails(episodeData, null, null, showId, seasonNumber);
+
+                await updateDatabase(page, episodeDetails, true);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing TV episode metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing TV episode metadata!', 'Ensure the TMDB ID of this episode\'s parent show, the Season Number, and the Episode Number were not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Miniseries') {
+            try {
+                const episodeNumbers = await notionService.fetchRollupValues(page, 'episodeNumbers');
+                const includeEpisodes = episodeNumbers.length > 0;
+
+                const { showData, seasonsData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, includeEpisodes, [], includeEpisodes);
+                const showDetails = tmdbService.constructDetails(showData, true);
+
+                if (seasonsData) {
+                    const seasonsPromises = seasonsData.map(async seasonData => {
+                        const seasonDetails = await tmdbService.constructSeasonDetails(seasonData.seasonData, showData)
+                        const episodesPromises = seasonData.episodesData.map(async episodeData => {
+                            return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData.seasonData)
                         });
                         seasonDetails.episodes = await Promise.all(episodesPromises);
-                    }
-
-                    await notionService.updateDatabase(page, seasonDetails, true);
-                } catch (error) {
-                    console.error('Error refreshing TV season metadata:', error);
-                    const details = { error: 'An error occurred while refreshing TV season metadata! Ensure the TMDB ID of this season\'s parent show and the Season Number were not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
+                        return seasonDetails;
+                    });
+                    showDetails.seasons = await Promise.all(seasonsPromises);
                 }
-            } else if (type === 'Television Episode') {
-                try {
-                    const showId = await notionService.getTMDBShowIdFromEpisode(page);
-                    const seasonNumber = page.properties['Season Number'].number;
-                    const episodeNumber = page.properties['Episode Number'].number;
 
-                    const { episodeData } = await tmdbService.fetchTelevisionEpisodeDetails(showId, seasonNumber, episodeNumber);
-                    const episodeDetails = await tmdbService.constructEpisodeDetails(episodeData, null, null, showId, seasonNumber);
+                await updateDatabase(page, showDetails, true);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing miniseries metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing miniseries metadata!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Collection') {
+            try {
+                // Movies added to the collection since the last import are created as well
+                const { collectionData } = await tmdbService.fetchCollectionDetails(tmdbId);
+                const collectionDetails = await tmdbService.constructCollectionDetails(collectionData);
+                await updateDatabase(page, collectionDetails, true);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing collection metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing collection metadata!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        } else if (type === 'Person') {
+            try {
+                const { personData } = await tmdbService.fetchPersonDetails(tmdbId);
+                const personDetails = tmdbService.constructPersonDetails(personData);
+                await updateDatabase(page, personDetails);
+            } catch (error) {
+                rethrowNotionWriteError(error);
+                console.error('Error refreshing person metadata:', error);
+                const details = { error: tmdbClient.describeError(error, 'An error occurred while refreshing person metadata!', 'Ensure the TMDB ID was not altered by mistake.') };
+                await updateDatabase(page, details);
+            }
+        }
+    } catch (error) {
+        console.error('Error refreshing metadata:', error);
+        recordFailure(page.id, error.message);
+    }
+}));
 
-                    await notionService.updateDatabase(page, episodeDetails, true);
-                } catch (error) {
-                    console.error('Error refreshing TV episode metadata:', error);
-                    const details = { error: 'An error occurred while refreshing TV episode metadata! Ensure the TMDB ID of this episode\'s parent show, the Season Number, and the Episode Number were not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
-                }
-            } else if (type === 'Miniseries') {
-                try {
-                    const episodeNumbersProperty = await notionService.fetchProperty(pageId, page.properties['Episode Numbers'].id);
-                    const includeEpisodes = episodeNumbersProperty.results.length > 0;
+/**
+ * Check for pages where the user requested a metadata refresh, retrieve fresh details for these
+ * pages from TMDB, and update the Notion pages with the TMDB data.
+ */
+const checkForRefreshRequests = async () => {
+    const pages = await notionService.fetchNeedsRefreshPages();
 
-                    const { showData, seasonsData } = await tmdbService.fetchTelevisionShowDetails(tmdbId, includeEpisodes, [], includeEpisodes);
-                    const showDetails = tmdbService.constructDetails(showData, true);
+    for (const page of pages ?? []) {
+        await runPageUpdate(page.id, 'refresh', () => refreshPage(page));
+    }
+};
 
-                    if (seasonsData) {
-                        const seasonsPromises = seasonsData.map(async seasonData => {
-                            const seasonDetails = await tmdbService.constructSeasonDetails(seasonData.seasonData, showData)
-                            const episodesPromises = seasonData.episodesData.map(async episodeData => {
-                                return await tmdbService.constructEpisodeDetails(episodeData, showData, seasonData.seasonData)
-                            });
-                            seasonDetails.episodes = await Promise.all(episodesPromises);
-                            return seasonDetails;
-                        });
-                        showDetails.seasons = await Promise.all(seasonsPromises);
-                    }
+/**
+ * Get the update the page "page" is waiting for, using the same logic as the polling checks:
+ * import a new query, resume the import of a picked search result, or refresh the metadata.
+ * Returns null if the page isn't waiting for an update.
+ * @param {*} page 
+ * @returns 
+ */
+const getPendingUpdate = (page) => {
+    if (notionService.isUpdatedPage(page)) {
+        return { job: 'import', update: () => updatePage(page) };
+    } else if (notionService.isPendingPickPage(page)) {
+        return { job: 'pick', update: () => importPickedResult(page) };
+    } else if (notionService.isRefreshRequestedPage(page)) {
+        return { job: 'refresh', update: () => refreshPage(page) };
+    }
+    return null;
+};
 
-                    await notionService.updateDatabase(page, showDetails, true);
-                } catch (error) {
-                    console.error('Error refreshing miniseries metadata:', error);
-                    const details = { error: 'An error occurred while refreshing miniseries metadata! Ensure the TMDB ID was not altered by mistake.' };
-                    await notionService.updateDatabase(page, details);
-                }
+/**
+ * Retrieve the page with ID "pageId", or null if it doesn't exist, was deleted, or isn't part of
+ * the integration's database.
+ * @param {string} pageId 
+ * @returns 
+ */
+const fetchDatabasePage = async (pageId) => {
+    const page = await notionService.fetchPage(pageId);
+    if (!page || page.archived || !notionService.isDatabasePage(page)) {
+        return null;
+    }
+    return page;
+};
+
+/**
+ * Handle a change to the page with ID "pageId" by running the update it is waiting for (if any).
+ * @param {string} pageId 
+ */
+const handlePageChange = async (pageId) => {
+    const page = await fetchDatabasePage(pageId);
+    const pendingUpdate = page ? getPendingUpdate(page) : null;
+    if (pendingUpdate) {
+        await runPageUpdate(page.id, pendingUpdate.job, pendingUpdate.update);
+    } else if (page && notionService.getPropertyValue(page, 'type') === 'Television Episode') {
+        // The change may be the episode being checked as watched
+        if (notionService.watchProgressEnabled) {
+            const showPage = await notionService.getShowPageFromEpisode(page);
+            await runPageUpdate(showPage.id, 'progress', () => updateWatchProgress(showPage));
+        }
+    } else if (page) {
+        // The change may be a recommended title being checked
+        await runPageUpdate(page.id, 'recommendations', () => notionService.importPickedRecommendations(page));
+    }
+};
+
+/**
+ * Queue the page with ID "pageId" to be handled after a webhook reported a change to it. Repeated
+ * changes to a page that is still waiting in the queue are only handled once.
+ * @param {string} pageId 
+ */
+const enqueuePageChange = async (pageId) => {
+    if (!syncStarted) {
+        return;
+    }
+
+    changedPages.add(pageId);
+    if (handlingChangedPages) {
+        return;
+    }
+
+    handlingChangedPages = true;
+    try {
+        while (changedPages.size) {
+            const [nextPageId] = changedPages;
+            changedPages.delete(nextPageId);
+
+            try {
+                await handlePageChange(nextPageId);
+            } catch (error) {
+                console.error('Error handling page change:', error);
             }
-        } catch (error) {
-            console.error('Error refreshing metadata:', error);
-        } finally {
-            updatingPages.delete(pageId);
         }
+    } finally {
+        handlingChangedPages = false;
     }
 };
 
 /**
- * Schedule a daily update at 3:00 AM to check for unreleased content in the Notion database.
+ * Start the update the page with ID "pageId" is waiting for (import, search result pick, or refresh)
+ * without waiting for it to finish. Returns the name of the started job, or an error.
+ * @param {string} pageId 
+ * @returns 
+ */
+const syncPage = async (pageId) => {
+    const page = await fetchDatabasePage(pageId);
+    if (!page) {
+        return { error: 'not_found' };
+    }
+
+    const pendingUpdate = getPendingUpdate(page);
+    if (!pendingUpdate) {
+        return { error: 'nothing_to_sync' };
+    } else if (updatingPages.has(page.id)) {
+        return { error: 'busy' };
+    }
+
+    runPageUpdate(page.id, pendingUpdate.job, pendingUpdate.update).catch(error => console.error('Error syncing page:', error));
+    return { job: pendingUpdate.job };
+};
+
+/**
+ * Start a metadata refresh of the page with ID "pageId" (even if "Refresh Metadata" isn't checked)
+ * without waiting for it to finish. Returns the name of the started job, or an error.
+ * @param {string} pageId 
+ * @returns 
+ */
+const startPageRefresh = async (pageId) => {
+    const page = await fetchDatabasePage(pageId);
+    if (!page) {
+        return { error: 'not_found' };
+    } else if (notionService.getPropertyValue(page, 'tmdbId') === null) {
+        return { error: 'not_imported' };
+    } else if (updatingPages.has(page.id)) {
+        return { error: 'busy' };
+    }
+
+    runPageUpdate(page.id, 'refresh', () => refreshPage(page)).catch(error => console.error('Error refreshing page:', error));
+    return { job: 'refresh' };
+};
+
+/**
+ * Start the update of unreleased content (normally run daily at 3:00 AM) without waiting for it
+ * to finish. Returns the name of the started job, or an error.
+ * @returns 
+ */
+const startUnreleasedUpdate = () => {
+    if (unreleasedUpdateRunning) {
+        return { error: 'busy' };
+    }
+
+    updateUnreleasedContent().catch(error => console.error('Error updating unreleased content:', error));
+    return { job: 'unreleased' };
+};
+
+/**
+ * Start a sync of the TMDB account (normally run every 15 minutes) without waiting for it to
+ * finish. Returns the name of the started job, or an error.
+ * @returns 
+ */
+const startAccountSync = () => {
+    if (!tmdbAccountService.accountSyncEnabled) {
+        return { error: 'account_sync_disabled' };
+    } else if (accountSyncRunning) {
+        return { error: 'busy' };
+    }
+
+    syncTMDBAccount();
+    return { job: 'account-sync' };
+};
+
+/**
+ * Get the pages currently being updated, the pages waiting to be handled after a webhook event,
+ * and the most recent failures.
+ * @returns 
+ */
+const getJobs = () => {
+    return {
+        updatingPages: [...updatingPages].map(([pageId, { job, startedAt }]) => ({ pageId, job, startedAt })),
+        queuedPages: [...changedPages],
+        unreleasedUpdateRunning: unreleasedUpdateRunning,
+        accountSyncRunning: accountSyncRunning,
+        recentFailures: recentFailures
+    };
+};
+
+/**
+ * Schedule a daily update at 3:00 AM to check for unreleased content in the Notion database,
+ * refresh the watch providers of the titles that haven't been watched yet, and update the watch
+ * progress of the shows (with the episodes that aired).
  */
 const scheduleDailyUpdate = () => {
     schedule.scheduleJob('0 3 * * *', async () => {
         console.log('Starting daily update...');
         await updateUnreleasedContent();
+        await refreshWatchProviders();
+        await updateAllWatchProgress();
         console.log('Daily update complete.');
     });
 }
 
 /**
- * Poll the Notion database for updates and data refresh request every 5 seconds,
- * and schedule a regular update of unreleased content.
+ * Poll the Notion database for updates, search result picks, picked recommendations, watched episodes, and data refresh request
+ * (every 5 seconds by default, or less often when webhooks are set up), and schedule a
+ * regular update of unreleased content and the TMDB account sync (if enabled). Nothing is started if the database schema is
+ * incompatible. Returns whether polling started.
+ * @returns 
  */
-const startPolling = () => {
-    setInterval(checkForUpdates, 5000);
-    setInterval(checkForRefreshRequests, 5000);
+const startPolling = async () => {
+    const report = await notionSchemaService.checkDatabaseSchema();
+    notionSchemaService.printSchemaReport(report);
+    if (report.errors.length) {
+        console.error('Not starting polling until the Notion database schema is fixed.');
+        return false;
+    }
+
+    syncStarted = true;
+    setInterval(checkForUpdates, pollingInterval);
+    setInterval(checkForPicks, pollingInterval);
+    setInterval(checkForRefreshRequests, pollingInterval);
+    setInterval(checkForRecommendationPicks, pollingInterval);
+    setInterval(checkForWatchProgress, pollingInterval);
     scheduleDailyUpdate();
+
+    if (tmdbAccountService.accountSyncEnabled) {
+        syncTMDBAccount();
+        setInterval(syncTMDBAccount, accountSyncInterval);
+    }
+    return true;
 };
 
-module.exports = { startPolling };
+module.exports = {
+    startPolling,
+    enqueuePageChange,
+    syncPage,
+    startPageRefresh,
+    startUnreleasedUpdate,
+    startAccountSync,
+    getJobs
+};
@@ -0,0 +1,56 @@
+require('dotenv').config();
+
+const defaultDatabaseId = process.env.NOTION_DATABASE_ID;
+
+const normalizeId = (id) => (id || '').replace(/-/g, '');
+
+/**
+ * Database the pages of each content type are written to (each defaults to NOTION_DATABASE_ID).
+ */
+const databaseIds = {
+    movie: normalizeId(process.env.NOTION_MOVIES_DATABASE_ID || defaultDatabaseId),
+    show: normalizeId(process.env.NOTION_SHOWS_DATABASE_ID || defaultDatabaseId),
+    season: normalizeId(process.env.NOTION_SEASONS_DATABASE_ID || defaultDatabaseId),
+    episode: normalizeId(process.env.NOTION_EPISODES_DATABASE_ID || defaultDatabaseId),
+    person: normalizeId(process.env.NOTION_PEOPLE_DATABASE_ID || defaultDatabaseId)
+};
+
+// Every database movies and TV shows are written to (each listed once), all of which are scanned for requests
+const allDatabaseIds = [...new Set([databaseIds.movie, databaseIds.show, databaseIds.season, databaseIds.episode].filter(Boolean))];
+
+// Every database whose pages can be refreshed, including the people database (which isn't scanned for requests)
+const refreshedDatabaseIds = [...new Set([...allDatabaseIds, databaseIds.person].filter(Boolean))];
+
+// A relation points to a single database, so when shows and seasons are in different databases,
+// miniseries episodes are related to their show through the "Show" relation instead of "Season"
+const miniseriesEpisodeRelation = databaseIds.show === databaseIds.season ? 'season' : 'show';
+
+/**
+ * Get the content types (movie, show, season, episode, person) written to the database with ID "databaseId".
+ * @param {string} databaseId
+ * @returns {Array<string>}
+ */
+function getDatabaseContentTypes(databaseId) {
+    return Object.keys(databaseIds).filter(contentType => databaseIds[contentType] === normalizeId(databaseId));
+}
+
+// Content type of the pages with each "type" option, which decides the database they are written to
+const pageContentTypes = {
+    'Movie': 'movie',
+    'Collection': 'movie',
+    'Television': 'show',
+    'Miniseries': 'show',
+    'Television Season': 'season',
+    'Television Episode': 'episode',
+    'Person': 'person'
+};
+
+module.exports = {
+    pageContentTypes,
+    databaseIds,
+    allDatabaseIds,
+    refreshedDatabaseIds,
+    miniseriesEpisodeRelation,
+    getDatabaseContentTypes,
+    normalizeId
+};
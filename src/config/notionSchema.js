@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Optional JSON file mapping fields to the properties of your Notion database
+const schemaFile = process.env.NOTION_SCHEMA_FILE || path.join(process.cwd(), 'notion-schema.json');
+
+/**
+ * Default Notion property (name and type) for each field the integration reads or writes.
+ */
+const defaultSchema = {
+    title: { name: 'Title', type: 'title' },
+    tagline: { name: 'Tagline', type: 'rich_text' },
+    genres: { name: 'Genre', type: 'multi_select' },
+    releaseDate: { name: 'Release Date', type: 'date' },
+    status: { name: 'Release Status', type: 'status' },
+    runtime: { name: 'Runtime', type: 'rich_text' },
+    synopsis: { name: 'Synopsis', type: 'rich_text' },
+    director: { name: 'Director', type: 'rich_text' },
+    composer: { name: 'Composer', type: 'rich_text' },
+    cast: { name: 'Cast', type: 'rich_text' },
+    trailer: { name: 'Trailer', type: 'url' },
+    rating: { name: 'TMDB Rating', type: 'number' },
+    seasonNumber: { name: 'Season Number', type: 'number' },
+    episodeNumber: { name: 'Episode Number', type: 'number' },
+    type: { name: 'Type', type: 'select' },
+    tmdbId: { name: 'TMDB ID', type: 'number' },
+    refreshMetadata: { name: 'Refresh Metadata', type: 'checkbox' },
+    show: { name: 'Show', type: 'relation' },
+    season: { name: 'Season', type: 'relation' },
+    seasonNumbers: { name: 'Season Numbers', type: 'rollup' },
+    episodeNumbers: { name: 'Episode Numbers', type: 'rollup' },
+    episodesCount: { name: 'Episodes Count', type: 'rollup' },
+    contentRating: { name: 'Rating', type: 'select' },
+    theatricalReleaseDate: { name: 'Theatrical Release', type: 'date' },
+    digitalReleaseDate: { name: 'Digital Release', type: 'date' },
+    physicalReleaseDate: { name: 'Physical Release', type: 'date' },
+    streamProviders: { name: 'Stream', type: 'multi_select' },
+    rentProviders: { name: 'Rent', type: 'multi_select' },
+    buyProviders: { name: 'Buy', type: 'multi_select' },
+    watchLink: { name: 'Where to Watch', type: 'url' },
+    watched: { name: 'Watched', type: 'checkbox' },
+    collection: { name: 'Collection', type: 'relation' },
+    biography: { name: 'Biography', type: 'rich_text' },
+    knownFor: { name: 'Known For', type: 'select' },
+    writers: { name: 'Writers', type: 'multi_select' },
+    producers: { name: 'Producers', type: 'multi_select' },
+    cinematographer: { name: 'Director of Photography', type: 'multi_select' },
+    editor: { name: 'Editor', type: 'multi_select' },
+    creators: { name: 'Created By', type: 'multi_select' },
+    networks: { name: 'Networks', type: 'multi_select' },
+    productionCompanies: { name: 'Production Companies', type: 'multi_select' },
+    originCountries: { name: 'Countries of Origin', type: 'multi_select' },
+    originalLanguage: { name: 'Original Language', type: 'select' },
+    budget: { name: 'Budget', type: 'number' },
+    revenue: { name: 'Revenue', type: 'number' },
+    guestStars: { name: 'Guest Stars', type: 'rich_text' },
+    imdbId: { name: 'IMDb ID', type: 'rich_text' },
+    imdbUrl: { name: 'IMDb', type: 'url' },
+    tvdbId: { name: 'TVDB ID', type: 'number' },
+    wikidataId: { name: 'Wikidata ID', type: 'rich_text' },
+    keywords: { name: 'Keywords', type: 'multi_select' },
+    personalRating: { name: 'My Rating', type: 'number' },
+    nextEpisode: { name: 'Next Episode', type: 'rich_text' },
+    episodesRemaining: { name: 'Episodes Remaining', type: 'number' },
+    timeRemaining: { name: 'Time Remaining', type: 'rich_text' },
+    watchStatus: { name: 'Watch Status', type: 'select' },
+    locale: { name: 'Locale', type: 'rich_text' }
+};
+
+// Property types each field can be mapped to (the default type is always allowed)
+const textTypes = ['rich_text', 'select', 'multi_select'];
+const personTypes = [...textTypes, 'relation']; // A relation to person pages
+const allowedTypes = {
+    tagline: ['rich_text'],
+    genres: ['multi_select', 'rich_text'],
+    status: ['status', 'select', 'rich_text'],
+    runtime: ['rich_text', 'number'],
+    synopsis: ['rich_text'],
+    director: personTypes,
+    composer: personTypes,
+    cast: ['rich_text', 'multi_select', 'relation'],
+    guestStars: ['rich_text', 'multi_select', 'relation'],
+    trailer: ['url', 'rich_text'],
+    rating: ['number', 'rich_text'],
+    contentRating: ['select', 'rich_text'],
+    knownFor: ['select', 'rich_text'],
+    streamProviders: ['multi_select', 'rich_text'],
+    rentProviders: ['multi_select', 'rich_text'],
+    buyProviders: ['multi_select', 'rich_text'],
+    watchLink: ['url', 'rich_text'],
+    writers: textTypes,
+    producers: textTypes,
+    cinematographer: textTypes,
+    editor: textTypes,
+    creators: textTypes,
+    networks: textTypes,
+    productionCompanies: textTypes,
+    originCountries: textTypes,
+    originalLanguage: ['select', 'rich_text'],
+    budget: ['number', 'rich_text'],
+    revenue: ['number', 'rich_text'],
+    imdbUrl: ['url', 'rich_text'],
+    tvdbId: ['number', 'rich_text'],
+    keywords: ['multi_select', 'rich_text'],
+    timeRemaining: ['rich_text', 'number'],
+    watchStatus: ['select', 'status', 'rich_text']
+};
+
+// Fields the integration can't work without
+const requiredFields = ['title', 'tmdbId', 'type'];
+
+// Fields that are skipped unless they are mapped in the schema file (true maps them to the default property)
+const optInFields = [
+    'contentRating', 'theatricalReleaseDate', 'digitalReleaseDate', 'physicalReleaseDate',
+    'streamProviders', 'rentProviders', 'buyProviders', 'watchLink', 'watched', 'collection',
+    'biography', 'knownFor', 'writers', 'producers', 'cinematographer', 'editor', 'creators', 'networks',
+    'productionCompanies', 'originCountries', 'originalLanguage', 'budget', 'revenue', 'guestStars',
+    'imdbId', 'imdbUrl', 'tvdbId', 'wikidataId', 'keywords', 'personalRating',
+    'nextEpisode', 'episodesRemaining', 'timeRemaining', 'watchStatus', 'locale'
+];
+
+/**
+ * Load the schema, applying the overrides from the schema file (if it exists). Each field in the
+ * file can be mapped to a property name, a property name and type, true for the default property,
+ * or null to skip the field.
+ * @returns {*}
+ */
+function loadSchema() {
+    const schema = { ...defaultSchema };
+    for (const field of optInFields) {
+        schema[field] = null;
+    }
+
+    if (!fs.existsSync(schemaFile)) {
+        return schema;
+    }
+
+    const overrides = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+    const errors = [];
+
+    for (const [field, override] of Object.entries(overrides)) {
+        if (!defaultSchema[field]) {
+            errors.push(`Unknown field '${field}'`);
+            continue;
+        }
+
+        if (override === null) {
+            if (requiredFields.includes(field)) {
+                errors.push(`Field '${field}' is required and can't be skipped`);
+            }
+            schema[field] = null;
+            continue;
+        }
+
+        let property;
+        if (override === true) {
+            property = { ...defaultSchema[field] };
+        } else if (typeof override === 'string') {
+            property = { name: override, type: defaultSchema[field].type };
+        } else {
+            property = { name: override.name ?? defaultSchema[field].name, type: override.type ?? defaultSchema[field].type };
+        }
+
+        const fieldTypes = allowedTypes[field] ?? [defaultSchema[field].type];
+        if (!fieldTypes.includes(property.type)) {
+            errors.push(`Field '${field}' can't be mapped to a '${property.type}' property (expected ${fieldTypes.join(', ')})`);
+        }
+
+        schema[field] = property;
+    }
+
+    if (errors.length) {
+        throw new Error(`Invalid Notion schema file ${schemaFile}:\n- ${errors.join('\n- ')}`);
+    }
+
+    console.log(`Loaded Notion schema from ${schemaFile}`);
+    return schema;
+}
+
+const schema = loadSchema();
+
+module.exports = { schema, defaultSchema };
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const express = require('express');
+const { syncPage, startPageRefresh, startUnreleasedUpdate, startAccountSync, getJobs } = require('../app');
+const { backupFormats, exportPages, formatBackup } = require('../services/backupService');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Token required in the "Authorization: Bearer <token>" header (the admin API is disabled without it)
+const adminApiToken = process.env.ADMIN_API_TOKEN;
+
+// HTTP status and message for each error returned by the job functions
+const jobErrors = {
+    not_found: { status: 404, message: 'Page not found in the Notion database' },
+    nothing_to_sync: { status: 409, message: 'Page is not waiting for an import, search result pick, or refresh' },
+    not_imported: { status: 409, message: 'Page has no TMDB ID to refresh' },
+    busy: { status: 409, message: 'Page or job is already being updated' },
+    account_sync_disabled: { status: 409, message: 'TMDB account sync is disabled, set TMDB_ACCOUNT_ID and TMDB_SESSION_ID to enable it' }
+};
+
+/**
+ * Reject requests without a valid admin API token.
+ */
+function requireAdminToken(req, res, next) {
+    if (!adminApiToken) {
+        return res.status(503).json({ error: 'Admin API is disabled, set ADMIN_API_TOKEN to enable it' });
+    }
+
+    const expected = Buffer.from(`Bearer ${adminApiToken}`);
+    const actual = Buffer.from(req.get('Authorization') || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+/**
+ * Send the result of starting a job: 202 with the job name, or the matching error.
+ * @param {*} res
+ * @param {*} result
+ */
+function sendJobResult(res, result) {
+    if (result.error) {
+        const { status, message } = jobErrors[result.error];
+        return res.status(status).json({ error: message });
+    }
+    res.status(202).json(result);
+}
+
+router.post('/sync/:pageId', requireAdminToken, async (req, res) => {
+    sendJobResult(res, await syncPage(req.params.pageId));
+});
+
+router.post('/refresh/:pageId', requireAdminToken, async (req, res) => {
+    sendJobResult(res, await startPageRefresh(req.params.pageId));
+});
+
+router.post('/jobs/unreleased/run', requireAdminToken, (req, res) => {
+    sendJobResult(res, startUnreleasedUpdate());
+});
+
+router.post('/jobs/account-sync/run', requireAdminToken, (req, res) => {
+    sendJobResult(res, startAccountSync());
+});
+
+router.get('/jobs', requireAdminToken, (req, res) => {
+    res.json(getJobs());
+});
+
+router.get('/export', requireAdminToken, async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!backupFormats.includes(format)) {
+        return res.status(400).json({ error: `Unknown export format, use one of: ${backupFormats.join(', ')}` });
+    }
+
+    try {
+        const content = formatBackup(await exportPages(), format);
+        res.type(format).attachment(`notion-export.${format}`).send(content);
+    } catch (error) {
+        console.error('Error exporting the Notion databases:', error);
+        res.status(500).json({ error: 'Export failed' });
+    }
+});
+
+module.exports = router;
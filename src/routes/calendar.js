@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const express = require('express');
+const { calendarTypes, getCalendarEvents } = require('../services/calendarService');
+const { formatCalendar } = require('../utils/ical');
+require('dotenv').config();
+
+const router = express.Router();
+
+// Token required in the "token" query parameter, since calendar apps can't send headers (the feed is disabled without it)
+const calendarToken = process.env.CALENDAR_FEED_TOKEN;
+
+/**
+ * Check that "token" matches the calendar feed token.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isValidToken(token) {
+    const expected = Buffer.from(calendarToken);
+    const actual = Buffer.from(token || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get the values of the query parameter "value", which can be repeated or comma-separated.
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function getListParameter(value) {
+    return [value ?? []].flat().flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+router.get('/calendar.ics', async (req, res) => {
+    if (!calendarToken) {
+        return res.status(503).json({ error: 'Calendar feed is disabled, set CALENDAR_FEED_TOKEN to enable it' });
+    } else if (!isValidToken(req.query.token)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const types = getListParameter(req.query.type);
+    const unknownTypes = types.filter(type => !calendarTypes.includes(type));
+    if (unknownTypes.length) {
+        return res.status(400).json({ error: `Unknown event types ${unknownTypes.join(', ')}, use any of: ${calendarTypes.join(', ')}` });
+    }
+
+    // Show titles can contain commas, so several shows are given by repeating the parameter
+    const shows = [req.query.show ?? []].flat().map(String);
+
+    try {
+        const events = await getCalendarEvents(types, shows);
+        res.type('text/calendar').send(formatCalendar('Upcoming releases', events));
+    } catch (error) {
+        console.error('Error creating the calendar feed:', error);
+        res.status(500).json({ error: 'Calendar feed failed' });
+    }
+});
+
+module.exports = router;
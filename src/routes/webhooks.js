@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const express = require('express');
+const notionService = require('../services/notionService');
+const { enqueuePageChange } = require('../app');
+require('dotenv').config();
+
+const router = express.Router();
+
+// The verification token Notion sends when the webhook subscription is created
+const webhookSecret = process.env.NOTION_WEBHOOK_SECRET;
+
+// Page events that can require an import, a search result pick, or a metadata refresh
+const handledEventTypes = ['page.created', 'page.content_updated', 'page.properties_updated', 'page.undeleted'];
+
+// The integration's own bot user, so changes made by the integration are not handled again
+let botUserIdPromise = null;
+
+/**
+ * Check that the "X-Notion-Signature" header matches the HMAC-SHA256 of the raw request body.
+ * @param {Buffer} rawBody
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function isValidSignature(rawBody, signature) {
+    if (!webhookSecret || !signature) {
+        return false;
+    }
+
+    const expectedSignature = 'sha256=' + crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+    const expected = Buffer.from(expectedSignature);
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Receive Notion webhook events, and queue the affected pages to be handled.
+ */
+router.post('/notion', express.raw({ type: 'application/json' }), async (req, res) => {
+    let event;
+    try {
+        event = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+        return res.status(400).send('Invalid JSON');
+    }
+
+    // The first request of a new subscription only contains the verification token
+    if (event.verification_token) {
+        console.log('Received Notion webhook verification token. Set NOTION_WEBHOOK_SECRET to this token and verify the subscription in Notion:', event.verification_token);
+        return res.sendStatus(200);
+    }
+
+    if (!isValidSignature(req.body, req.get('X-Notion-Signature'))) {
+        console.error('Rejected Notion webhook event with an invalid signature');
+        return res.sendStatus(401);
+    }
+
+    // Respond right away, Notion doesn't wait for the page to be handled
+    res.sendStatus(200);
+
+    if (!handledEventTypes.includes(event.type) || event.entity?.type !== 'page') {
+        return;
+    }
+
+    botUserIdPromise = botUserIdPromise ?? notionService.fetchBotUserId();
+    const botUserId = await botUserIdPromise;
+    if (!botUserId) {
+        botUserIdPromise = null; // Try again with the next event
+    } else if (event.authors?.length && event.authors.every(author => author.id === botUserId)) {
+        return;
+    }
+
+    enqueuePageChange(event.entity.id);
+});
+
+module.exports = router;
@@ -1,15 +1,27 @@
 const express = require('express');
 const { startPolling } = require('./app');
+const tmdbCache = require('./services/tmdbCache');
+const webhookRouter = require('./routes/webhooks');
+const adminRouter = require('./routes/admin');
+const calendarRouter = require('./routes/calendar');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-startPolling();
+tmdbCache.init();
+startPolling().catch(error => {
+    console.error('Error starting the sync with Notion:', error);
+    process.exit(1);
+});
 
 app.get('/', (req, res) => {
     res.send('TMDB-Notion Sync Server is running');
 });
 
+app.use('/webhooks', webhookRouter);
+app.use(adminRouter);
+app.use(calendarRouter);
+
 app.listen(PORT, () => {
     console.log(`Server is running on port http://localhost:${PORT}`);
 });
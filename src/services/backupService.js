@@ -0,0 +1,471 @@
+const { notion } = require('./notionClient');
+const notionService = require('./notionService');
+const { schema } = require('../config/notionSchema');
+const { databaseIds, refreshedDatabaseIds, pageContentTypes, normalizeId } = require('../config/notionDatabases');
+const { parseCsv, formatCsv } = require('../utils/csv');
+
+const backupFormats = ['json', 'csv'];
+
+// Every database exported, including the person database (which isn't scanned for requests)
+const exportedDatabaseIds = refreshedDatabaseIds;
+
+// Property types calculated by Notion, which are exported but can't be restored
+const readOnlyTypes = ['formula', 'rollup', 'created_time', 'created_by', 'last_edited_time', 'last_edited_by', 'unique_id', 'button', 'verification'];
+
+// CSV columns for the page details, before a column for each property
+const pageColumns = ['_id', '_database', '_icon', '_cover'];
+
+// Separator of the values of list properties in CSV files written before lists were JSON arrays
+const legacyListSeparator = ', ';
+
+// Maximum length of a Notion rich text item
+const maxTextLength = 2000;
+
+/**
+ * Format the Notion date "date" as its start date, or "start/end" for a date range.
+ * @param {*} date
+ * @returns {string}
+ */
+function formatDate(date) {
+    if (!date) {
+        return null;
+    }
+    return date.end ? `${date.start}/${date.end}` : date.start;
+}
+
+/**
+ * Get the plain value of the Notion property "property" (e.g. the name of a select option, or the
+ * IDs of the related pages).
+ * @param {*} property
+ * @returns {*}
+ */
+function serializeValue(property) {
+    const value = property[property.type];
+
+    switch (property.type) {
+        case 'title':
+        case 'rich_text':
+            return value.map(text => text.plain_text).join('');
+        case 'select':
+        case 'status':
+            return value?.name ?? null;
+        case 'multi_select':
+            return value.map(option => option.name);
+        case 'date':
+            return formatDate(value);
+        case 'relation':
+        case 'people':
+            return value.map(item => item.id);
+        case 'files':
+            return value.map(file => file.external?.url ?? file.file?.url);
+        case 'formula':
+            return value.type === 'date' ? formatDate(value.date) : value[value.type];
+        case 'rollup':
+            if (value.type === 'array') {
+                return value.array.map(serializeValue);
+            }
+            return value.type === 'date' ? formatDate(value.date) : value[value.type];
+        case 'created_by':
+        case 'last_edited_by':
+            return value.id;
+        case 'unique_id':
+            return value.prefix ? `${value.prefix}-${value.number}` : value.number;
+        case 'verification':
+            return value.state;
+        case 'button':
+            return null;
+        default:
+            return value ?? null;
+    }
+}
+
+/**
+ * Construct the backup record of the Notion page "page": its ID, database, icon, cover, and the
+ * plain value of every property (including the ones added by the user).
+ * @param {*} page
+ * @returns {Promise<*>}
+ */
+async function serializePage(page) {
+    const properties = {};
+
+    for (const [name, property] of Object.entries(page.properties)) {
+        properties[name] = serializeValue(property);
+
+        // Pages only list the first 25 related pages
+        if (property.type === 'relation' && property.has_more) {
+            const response = await notionService.fetchProperty(page.id, property.id);
+            if (response?.results) {
+                properties[name] = response.results.map(item => item.relation.id);
+            }
+        }
+    }
+
+    return {
+        id: page.id,
+        databaseId: normalizeId(page.parent.database_id),
+        icon: page.icon?.external?.url ?? page.icon?.file?.url ?? page.icon?.emoji ?? null,
+        cover: page.cover?.external?.url ?? page.cover?.file?.url ?? null,
+        properties: properties
+    };
+}
+
+/**
+ * Get the values of the list "value", which is a JSON array when read from a CSV file (values
+ * such as option names can contain commas). Older CSV backups separated the values with commas.
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function toList(value) {
+    if (Array.isArray(value)) {
+        return value;
+    } else if (value === null || value === undefined || value === '') {
+        return [];
+    }
+
+    try {
+        const list = JSON.parse(value);
+        if (Array.isArray(list)) {
+            return list;
+        }
+    } catch {
+        // Not a JSON array
+    }
+    return String(value).split(legacyListSeparator);
+}
+
+/**
+ * Construct the Notion property value of type "type" for the backed up value "value" (which is a
+ * string when read from a CSV file). Returns undefined for types that can't be restored.
+ * @param {string} type
+ * @param {*} value
+ * @returns {*}
+ */
+function toNotionValue(type, value) {
+    const isEmpty = value === null || value === undefined || value === '';
+
+    switch (type) {
+        case 'title':
+        case 'rich_text': {
+            const text = isEmpty ? '' : String(value);
+            const chunks = [];
+            for (let i = 0; i < text.length; i += maxTextLength) {
+                chunks.push({ type: 'text', text: { content: text.slice(i, i + maxTextLength) } });
+            }
+            return { [type]: chunks };
+        }
+        case 'number':
+            return { number: isEmpty ? null : Number(value) };
+        case 'checkbox':
+            return { checkbox: value === true || value === 'true' };
+        case 'select':
+        case 'status':
+            return { [type]: isEmpty ? null : { name: String(value) } };
+        case 'multi_select':
+            return { multi_select: toList(value).map(name => ({ name: name })) };
+        case 'date': {
+            if (isEmpty) {
+                return { date: null };
+            }
+            const [start, end] = String(value).split('/');
+            return { date: { start: start, end: end ?? null } };
+        }
+        case 'people':
+            return { people: toList(value).map(id => ({ id: id })) };
+        case 'files':
+            return {
+                files: toList(value).map(url => ({
+                    name: decodeURIComponent(new URL(url).pathname.split('/').pop() || 'File').slice(0, 100),
+                    type: 'external',
+                    external: { url: url }
+                }))
+            };
+        case 'url':
+        case 'email':
+        case 'phone_number':
+            return { [type]: isEmpty ? null : String(value) };
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Check if "url" links to a file uploaded to Notion. Those are exported as signed links that
+ * expire after an hour, so they can't be restored.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isExpiringUrl(url) {
+    try {
+        const { hostname, searchParams } = new URL(url);
+        return hostname === 'file.notion.so' || searchParams.has('X-Amz-Signature');
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Construct the icon or cover of a restored page from the backed up URL or emoji "value".
+ * @param {string} value
+ * @returns {*}
+ */
+function toPageFile(value) {
+    if (!value) {
+        return undefined;
+    }
+    return /^https?:\/\//.test(value) ? { type: 'external', external: { url: value } } : { type: 'emoji', emoji: value };
+}
+
+/**
+ * Construct the Notion properties of the backup record "record" in the database "database", and
+ * the IDs of its related pages by relation name (set once every page is restored). Properties
+ * calculated by Notion, or no longer in the database, are skipped, and so are files uploaded to
+ * Notion (with a warning in "warnings").
+ * @param {*} record
+ * @param {*} database
+ * @param {Array<string>} warnings
+ * @returns {{ properties: *, relations: * }}
+ */
+function constructRestoreProperties(record, database, warnings) {
+    const properties = {};
+    const relations = {};
+
+    for (const [name, value] of Object.entries(record.properties)) {
+        const property = database.properties[name];
+        if (!property || readOnlyTypes.includes(property.type)) {
+            continue;
+        }
+
+        if (property.type === 'relation') {
+            relations[name] = toList(value);
+            continue;
+        }
+
+        let propertyValue = value;
+        if (property.type === 'files') {
+            const urls = toList(value);
+            propertyValue = urls.filter(url => !isExpiringUrl(url));
+            if (propertyValue.length < urls.length) {
+                warnings.push(`${urls.length - propertyValue.length} file(s) uploaded to Notion in "${name}" not restored, since their links expire`);
+            }
+        }
+
+        propertyValue = toNotionValue(property.type, propertyValue);
+        if (propertyValue) {
+            properties[name] = propertyValue;
+        }
+    }
+
+    return { properties: properties, relations: relations };
+}
+
+/**
+ * Construct the icon and cover of the backup record "record". Icons and covers uploaded to Notion
+ * are skipped (with a warning in "warnings"), since their links expire.
+ * @param {*} record
+ * @param {Array<string>} warnings
+ * @returns {{ icon: *, cover: * }}
+ */
+function constructRestorePageFiles(record, warnings) {
+    const pageFiles = {};
+    for (const name of ['icon', 'cover']) {
+        if (isExpiringUrl(record[name])) {
+            warnings.push(`The ${name} uploaded to Notion was not restored, since its link expires`);
+            continue;
+        }
+        pageFiles[name] = toPageFile(record[name]);
+    }
+    return pageFiles;
+}
+
+/**
+ * Get the database a backed up page is restored to: the database its type is written to, or the
+ * database it was exported from (pages without a type, such as requests that were never imported).
+ * @param {*} record
+ * @returns {string}
+ */
+function getRestoreDatabaseId(record) {
+    const type = schema.type ? record.properties[schema.type.name] : null;
+    const contentType = pageContentTypes[type];
+    if (contentType && databaseIds[contentType]) {
+        return databaseIds[contentType];
+    }
+    return exportedDatabaseIds.includes(normalizeId(record.databaseId)) ? normalizeId(record.databaseId) : databaseIds.movie;
+}
+
+/**
+ * Get the page with ID "pageId", or null if it was deleted or isn't shared with the integration.
+ * @param {string} pageId
+ * @returns {Promise<*>}
+ */
+async function getBackedUpPage(pageId) {
+    try {
+        return await notion.pages.retrieve({ page_id: pageId });
+    } catch (error) {
+        if (error.code === 'object_not_found' || error.code === 'validation_error') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetch every movie, show, season, episode, and person page in the configured databases and
+ * construct its backup record.
+ * @returns {Promise<Array<*>>}
+ */
+const exportPages = async () => {
+    const pages = await notionService.fetchAllPages(exportedDatabaseIds);
+
+    const records = [];
+    for (const page of pages) {
+        records.push(await serializePage(page));
+    }
+    return records;
+};
+
+/**
+ * Format the backup "records" as JSON, or as CSV with a column for every property (list values
+ * are JSON arrays).
+ * @param {Array<*>} records
+ * @param {string} format
+ * @returns {string}
+ */
+const formatBackup = (records, format = 'json') => {
+    if (format === 'json') {
+        return JSON.stringify(records, null, 2);
+    }
+
+    const propertyNames = [...new Set(records.flatMap(record => Object.keys(record.properties)))];
+    const rows = records.map(record => {
+        const row = { _id: record.id, _database: record.databaseId, _icon: record.icon, _cover: record.cover };
+        for (const [name, value] of Object.entries(record.properties)) {
+            row[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+        }
+        return row;
+    });
+    return formatCsv(rows, [...pageColumns, ...propertyNames]);
+};
+
+/**
+ * Read the backup records from the JSON or CSV text "content".
+ * @param {string} content
+ * @param {string} format
+ * @returns {Array<*>}
+ */
+const parseBackup = (content, format = 'json') => {
+    if (format === 'json') {
+        const records = JSON.parse(content);
+        if (!Array.isArray(records)) {
+            throw new Error('A JSON backup must contain a list of pages.');
+        }
+        return records;
+    }
+
+    return parseCsv(content).map(row => {
+        const properties = Object.fromEntries(Object.entries(row).filter(([name]) => !pageColumns.includes(name)));
+        return { id: row._id, databaseId: row._database, icon: row._icon, cover: row._cover, properties: properties };
+    });
+};
+
+/**
+ * Restore the pages of the backup "records". Pages in the trash are restored, and deleted pages
+ * are recreated with their backed up properties. Pages that still exist are left as they are,
+ * unless "overwrite" is set: their backed up properties are then written back to them. Relations
+ * are set once every page is restored, pointing to the new IDs of the recreated pages. Returns the
+ * labels of the existing, overwritten, restored, and recreated pages, the pages that failed with
+ * the reason, and the pages with values that couldn't be restored ("warnings") with the reason.
+ * @param {Array<*>} records
+ * @param {{ overwrite: boolean }} options
+ * @returns
+ */
+const restorePages = async (records, { overwrite = false } = {}) => {
+    const summary = { existing: [], overwritten: [], restored: [], recreated: [], failed: [], warnings: [] };
+    const databases = {};
+    const recreatedIds = new Map();
+    const relationUpdates = [];
+
+    for (const [index, record] of records.entries()) {
+        const title = schema.title ? record.properties[schema.title.name] : null;
+        const label = title || record.id || 'Untitled';
+        const progress = `[${index + 1}/${records.length}]`;
+
+        try {
+            const page = record.id ? await getBackedUpPage(record.id) : null;
+            if (page && !overwrite && !page.archived && !page.in_trash) {
+                summary.existing.push(label);
+                continue;
+            } else if (page && (page.archived || page.in_trash)) {
+                await notion.pages.update({ page_id: record.id, archived: false });
+                summary.restored.push(label);
+                console.log(`${progress} Restored from the trash: ${label}`);
+                if (!overwrite) {
+                    continue;
+                }
+            }
+
+            const databaseId = page ? normalizeId(page.parent.database_id) : getRestoreDatabaseId(record);
+            databases[databaseId] ??= await notion.databases.retrieve({ database_id: databaseId });
+
+            const warnings = [];
+            const { properties, relations } = constructRestoreProperties(record, databases[databaseId], warnings);
+            const { icon, cover } = constructRestorePageFiles(record, warnings);
+            summary.warnings.push(...warnings.map(reason => ({ label: label, reason: reason })));
+
+            let pageId = page?.id;
+            if (page) {
+                await notion.pages.update({ page_id: page.id, properties: properties, icon: icon, cover: cover });
+                summary.overwritten.push(label);
+                console.log(`${progress} Overwritten: ${label}`);
+            } else {
+                const newPage = await notion.pages.create({
+                    parent: { database_id: databaseId },
+                    properties: properties,
+                    icon: icon,
+                    cover: cover
+                });
+                pageId = newPage.id;
+
+                if (record.id) {
+                    recreatedIds.set(normalizeId(record.id), pageId);
+                }
+                summary.recreated.push(label);
+                console.log(`${progress} Recreated: ${label}`);
+            }
+            relationUpdates.push({ pageId: pageId, label: label, relations: relations, overwritten: Boolean(page) });
+        } catch (error) {
+            summary.failed.push({ label: label, reason: error.message });
+            console.error(`${progress} Failed: ${label}`, error);
+        }
+    }
+
+    for (const { pageId, label, relations, overwritten } of relationUpdates) {
+        const properties = {};
+        for (const [name, ids] of Object.entries(relations)) {
+            // Empty relations are only written to overwritten pages, to clear them
+            if (ids.length || overwritten) {
+                properties[name] = { relation: ids.map(id => ({ id: recreatedIds.get(normalizeId(id)) ?? id })) };
+            }
+        }
+
+        if (!Object.keys(properties).length) {
+            continue;
+        }
+
+        try {
+            await notion.pages.update({ page_id: pageId, properties: properties });
+        } catch (error) {
+            summary.failed.push({ label: label, reason: `Relations not restored: ${error.message}` });
+            console.error(`Failed to restore the relations of ${label}`, error);
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    backupFormats,
+    exportPages,
+    formatBackup,
+    parseBackup,
+    restorePages
+};
@@ -0,0 +1,156 @@
+const notionService = require('./notionService');
+const { normalizeId } = require('../config/notionDatabases');
+
+// Event type of the pages with each "type" option (collections have no release date of their own)
+const eventTypes = {
+    'Movie': 'movie',
+    'Television': 'show',
+    'Miniseries': 'show',
+    'Television Season': 'season',
+    'Television Episode': 'episode'
+};
+const calendarTypes = ['movie', 'show', 'season', 'episode'];
+
+// Release date fields of movie pages, and the label added to their events
+const movieReleaseFields = {
+    releaseDate: null,
+    theatricalReleaseDate: 'Theatrical release',
+    digitalReleaseDate: 'Digital release',
+    physicalReleaseDate: 'Physical release'
+};
+
+// Upcoming releases are fetched again after 15 minutes, since calendar apps poll the feed often
+const eventsTtl = 15 * 60 * 1000;
+let cachedEvents = null;
+
+/**
+ * Get the page of the show the season or episode page "page" belongs to, looking each show up
+ * once per parent page in "showPages" (a map of parent page ID to show page promise).
+ * @param {*} page
+ * @param {string} eventType
+ * @param {Map<string, Promise<*>>} showPages
+ * @returns {Promise<*>}
+ */
+function getShowPage(page, eventType, showPages) {
+    const parentPageId = notionService.getPropertyValue(page, 'show')?.[0] ?? notionService.getPropertyValue(page, 'season')?.[0];
+    if (!parentPageId) {
+        return null;
+    }
+
+    if (!showPages.has(parentPageId)) {
+        const showPage = eventType === 'season' ? notionService.fetchPage(parentPageId) : notionService.getShowPageFromEpisode(page);
+        showPages.set(parentPageId, showPage.catch(error => {
+            console.error('Error fetching the show of an upcoming release:', error);
+            return null;
+        }));
+    }
+    return showPages.get(parentPageId);
+}
+
+/**
+ * Construct the events of the upcoming release page "page": one for each release date on or after
+ * "today" (a movie can have a theatrical, digital, and physical release). Release types on the same
+ * date as the main release date replace it.
+ * @param {*} page
+ * @param {string} eventType
+ * @param {*} showPage
+ * @param {string} today
+ * @returns {Array<*>}
+ */
+function constructPageEvents(page, eventType, showPage, today) {
+    const title = notionService.getPageTitle(page);
+    const showTitle = showPage ? notionService.getPageTitle(showPage) : null;
+
+    let summary = title;
+    if (eventType === 'season') {
+        summary = showTitle ? `${showTitle} - ${title}` : title;
+    } else if (eventType === 'episode') {
+        const seasonNumber = notionService.getPropertyValue(page, 'seasonNumber');
+        const episodeNumber = notionService.getPropertyValue(page, 'episodeNumber');
+        const episode = seasonNumber !== null && episodeNumber !== null ? `S${seasonNumber}E${episodeNumber}: ${title}` : title;
+        summary = showTitle ? `${showTitle} - ${episode}` : episode;
+    } else if (eventType === 'show') {
+        summary = `${title} (premiere)`;
+    }
+
+    const releaseFields = eventType === 'movie' ? Object.keys(movieReleaseFields) : ['releaseDate'];
+    const releases = releaseFields
+        .map(field => ({ field: field, date: notionService.getPropertyValue(page, field) }))
+        .filter(release => release.date && release.date.slice(0, 10) >= today);
+
+    return releases
+        .filter(release => release.field !== 'releaseDate' || !releases.some(other => other.field !== 'releaseDate' && other.date === release.date))
+        .map(release => {
+            const label = movieReleaseFields[release.field];
+            return {
+                uid: `${normalizeId(page.id)}-${release.field}@tmdb-notion-integration`,
+                date: release.date.slice(0, 10),
+                summary: label ? `${summary} (${label})` : summary,
+                description: `Open in Notion: ${page.url}`,
+                url: page.url,
+                type: eventType,
+                showPageId: eventType === 'show' ? normalizeId(page.id) : showPage ? normalizeId(showPage.id) : null,
+                showTitle: eventType === 'show' ? title : showTitle
+            };
+        });
+}
+
+/**
+ * Fetch the upcoming releases in the Notion databases (the unreleased pages, and the movies with
+ * an upcoming theatrical, digital, or physical release) and construct their events, sorted by date.
+ * @returns {Promise<Array<*>>}
+ */
+async function fetchEvents() {
+    const pages = await notionService.fetchUpcomingReleasePages();
+    if (!pages) {
+        throw new Error('The upcoming releases could not be fetched from Notion.');
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const showPages = new Map();
+    const events = [];
+
+    for (const page of pages) {
+        const eventType = eventTypes[notionService.getPropertyValue(page, 'type')];
+        if (!eventType) {
+            continue;
+        }
+
+        const showPage = ['season', 'episode'].includes(eventType) ? await getShowPage(page, eventType, showPages) : null;
+        events.push(...constructPageEvents(page, eventType, showPage, today));
+    }
+
+    return events.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the upcoming release events of the event types "types" (all types if empty), and only of
+ * the shows "shows" if any are given (each a Notion page ID or a show title, ignoring case).
+ * @param {Array<string>} types
+ * @param {Array<string>} shows
+ * @returns {Promise<Array<*>>}
+ */
+const getCalendarEvents = async (types = [], shows = []) => {
+    if (!cachedEvents || cachedEvents.expiresAt <= Date.now()) {
+        const events = fetchEvents();
+        cachedEvents = { events: events, expiresAt: Date.now() + eventsTtl };
+        events.catch(() => {
+            cachedEvents = null;
+        });
+    }
+
+    const events = await cachedEvents.events;
+    const showFilters = shows.map(show => show.toLowerCase());
+
+    return events.filter(event => {
+        if (types.length && !types.includes(event.type)) {
+            return false;
+        }
+        return !showFilters.length || showFilters.some(show => normalizeId(show) === event.showPageId || show === event.showTitle?.toLowerCase());
+    });
+};
+
+module.exports = {
+    calendarTypes,
+    getCalendarEvents
+};
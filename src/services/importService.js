@@ -0,0 +1,228 @@
+const path = require('path');
+const tmdbService = require('./tmdbService');
+const notionService = require('./notionService');
+const { pageContentTypes } = require('../config/notionDatabases');
+const { parseCsv } = require('../utils/csv');
+
+const importFormats = ['csv', 'letterboxd', 'imdb', 'trakt'];
+
+// Columns read from generic CSV files (matched case-insensitively), which also cover the
+// Letterboxd ("Name", "Year") and IMDb ("Const", "Title", "Title Type", "Year") exports
+const columnNames = {
+    title: ['title', 'name'],
+    year: ['year', 'release year'],
+    type: ['type', 'media type', 'title type'],
+    imdbId: ['imdb id', 'imdb_id', 'imdb', 'const'],
+    tmdbId: ['tmdb id', 'tmdb_id', 'tmdb']
+};
+
+/**
+ * Detect the format of the import file "fileName" with the content "content".
+ * @param {string} fileName
+ * @param {string} content
+ * @returns {string}
+ */
+function detectFormat(fileName, content) {
+    if (path.extname(fileName).toLowerCase() === '.json') {
+        return 'trakt';
+    }
+
+    const header = content.split(/\r?\n/, 1)[0];
+    if (header.includes('Letterboxd URI')) {
+        return 'letterboxd';
+    } else if (header.includes('Const') && header.includes('Title Type')) {
+        return 'imdb';
+    }
+    return 'csv';
+}
+
+/**
+ * Get the value of the first column of "record" named one of "names" (ignoring case).
+ * @param {*} record
+ * @param {Array<string>} names
+ * @returns {string}
+ */
+function getColumn(record, names) {
+    const column = Object.keys(record).find(key => names.includes(key.toLowerCase()));
+    return column ? record[column] : '';
+}
+
+/**
+ * Construct the query for a title, the same as one typed in Notion: its TMDB ID, its IMDb ID,
+ * or its title with the type and year filters. Returns null if there is nothing to search for.
+ * @param {*} title
+ * @returns
+ */
+function constructQuery({ title, year, type, imdbId, tmdbId }) {
+    const mediaType = /^(tv|television|series|show|tvseries|tvminiseries)$/i.test(type) ? 'tv' : /^(movie|film)$/i.test(type) ? 'movie' : null;
+
+    if (/^\d+$/.test(tmdbId)) {
+        return `tmdb:${mediaType ?? 'movie'}/${tmdbId};`;
+    } else if (/^tt\d+$/i.test(imdbId)) {
+        return `${imdbId};`;
+    } else if (!title) {
+        return null;
+    }
+
+    const filters = [];
+    if (mediaType) {
+        filters.push(`type=${mediaType}`);
+    }
+    if (/^\d{4}$/.test(year)) {
+        filters.push(`year=${year}`);
+    }
+
+    // Brackets and semicolons are part of the query syntax
+    const mainQuery = title.replace(/[\[\];]/g, ' ').trim();
+    return mainQuery + (filters.length ? `[${filters.join(', ')}]` : '') + ';';
+}
+
+/**
+ * Get a short description of a title for the import summary (e.g. "Heat (1995)").
+ * @param {string} title
+ * @param {string} year
+ * @returns {string}
+ */
+function describeTitle(title, year) {
+    return (title || 'Untitled') + (year ? ` (${year})` : '');
+}
+
+/**
+ * Construct the import rows of the CSV "records" (Letterboxd exports only list movies).
+ * @param {Array<*>} records
+ * @param {string} format
+ * @returns {Array<*>}
+ */
+function getCsvRows(records, format) {
+    return records.map((record, index) => {
+        const title = {
+            title: getColumn(record, columnNames.title),
+            year: getColumn(record, columnNames.year),
+            type: format === 'letterboxd' ? 'movie' : getColumn(record, columnNames.type),
+            imdbId: getColumn(record, columnNames.imdbId),
+            tmdbId: getColumn(record, columnNames.tmdbId)
+        };
+
+        return {
+            label: `Row ${index + 2}: ${describeTitle(title.title, title.year)}`, // Row 1 is the header
+            query: constructQuery(title)
+        };
+    });
+}
+
+/**
+ * Construct the import rows of the Trakt export "items" (watched, history, watchlist, ratings, or
+ * collection). Episodes and seasons are imported as their show.
+ * @param {Array<*>} items
+ * @returns {Array<*>}
+ */
+function getTraktRows(items) {
+    return items.map((item, index) => {
+        const media = item.movie ?? item.show;
+        if (!media) {
+            return { label: `Item ${index + 1}: ${item.type ?? 'unknown'}`, query: null };
+        }
+
+        const title = {
+            title: media.title,
+            year: media.year ? String(media.year) : '',
+            type: item.movie ? 'movie' : 'tv',
+            imdbId: media.ids?.imdb ?? '',
+            tmdbId: media.ids?.tmdb ? String(media.ids.tmdb) : ''
+        };
+
+        return {
+            label: `Item ${index + 1}: ${describeTitle(title.title, title.year)}`,
+            query: constructQuery(title)
+        };
+    });
+}
+
+/**
+ * Read the titles listed in the import file "fileName" with the content "content", in the format
+ * "format" (detected from the file if it isn't given). Returns the format and a row for each
+ * title, with the query used to find it on TMDB (null if the row has no title or ID).
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} format
+ * @returns
+ */
+const parseImportFile = (fileName, content, format = null) => {
+    const fileFormat = format ?? detectFormat(fileName, content);
+    if (!importFormats.includes(fileFormat)) {
+        throw new Error(`Unknown import format "${fileFormat}". Use one of: ${importFormats.join(', ')}.`);
+    }
+
+    if (fileFormat === 'trakt') {
+        const items = JSON.parse(content);
+        if (!Array.isArray(items)) {
+            throw new Error('A Trakt export must contain a list of items.');
+        }
+        return { format: fileFormat, rows: getTraktRows(items) };
+    }
+
+    return { format: fileFormat, rows: getCsvRows(parseCsv(content), fileFormat) };
+};
+
+/**
+ * Find each of the import "rows" on TMDB and create its page in the Notion database, like a
+ * query typed in Notion. Titles that are already in the database (or earlier in the import) are
+ * skipped. With "dryRun", the titles are only matched. Returns the labels of the imported and
+ * duplicate rows, and the rows that were not matched or failed to import with the reason.
+ * @param {Array<*>} rows
+ * @param {boolean} dryRun
+ * @returns
+ */
+const importRows = async (rows, dryRun = false) => {
+    const summary = { imported: [], duplicates: [], unmatched: [], failed: [] };
+    const importedTitles = new Set();
+
+    for (const [index, row] of rows.entries()) {
+        const progress = `[${index + 1}/${rows.length}]`;
+
+        if (!row.query) {
+            summary.unmatched.push({ label: row.label, reason: 'No title, IMDb ID, or TMDB ID' });
+            console.log(`${progress} Unmatched: ${row.label}`);
+            continue;
+        }
+
+        try {
+            const details = await tmdbService.fetchTMDBDetails(row.query);
+            if (details.error || details.candidates) {
+                const reason = details.error ?? 'Several titles match. Add the year or type to the row.';
+                summary.unmatched.push({ label: row.label, reason: reason });
+                console.log(`${progress} Unmatched: ${row.label}`);
+                continue;
+            }
+
+            const titleKey = `${details.type}:${details.tmdbId}`;
+            if (importedTitles.has(titleKey) || (await notionService.findPagesByTMDBId(details.tmdbId, details.type)).length) {
+                summary.duplicates.push(row.label);
+                console.log(`${progress} Already in the database: ${row.label}`);
+                continue;
+            }
+
+            if (!dryRun) {
+                // The page is created without the query delimiter, so polling doesn't import it as well
+                const page = await notionService.createRequestPage(pageContentTypes[details.type], row.query.slice(0, -1));
+                await notionService.updateDatabase(page, details);
+            }
+
+            importedTitles.add(titleKey);
+            summary.imported.push(row.label);
+            console.log(`${progress} ${dryRun ? 'Matched' : 'Imported'}: ${row.label} → ${details.title}`);
+        } catch (error) {
+            summary.failed.push({ label: row.label, reason: error.message });
+            console.error(`${progress} Failed: ${row.label}`, error);
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    importFormats,
+    parseImportFile,
+    constructQuery,
+    importRows
+};
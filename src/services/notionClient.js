@@ -0,0 +1,97 @@
+const { Client, APIErrorCode, ClientErrorCode, isNotionClientError } = require('@notionhq/client');
+const { createRequestQueue, wait, getBackoffDelay, parseRequestSetting } = require('../utils/requestQueue');
+require('dotenv').config();
+
+const client = new Client({ auth: process.env.NOTION_API_TOKEN });
+
+// Request budget (Notion allows an average of 3 requests per second per integration)
+const maxConcurrentRequests = parseRequestSetting(process.env.NOTION_MAX_CONCURRENT_REQUESTS, 3, 1);
+const maxRequestsPerSecond = parseRequestSetting(process.env.NOTION_MAX_REQUESTS_PER_SECOND, 3, 1);
+const maxRetries = parseRequestSetting(process.env.NOTION_MAX_RETRIES, 5);
+
+const retryableErrorCodes = [
+    APIErrorCode.RateLimited,
+    APIErrorCode.ConflictError,
+    APIErrorCode.InternalServerError,
+    APIErrorCode.ServiceUnavailable,
+    ClientErrorCode.RequestTimeout
+];
+
+const enqueue = createRequestQueue(maxConcurrentRequests, maxRequestsPerSecond);
+
+/**
+ * Get the number of milliseconds to wait before retrying a failed request, or null if the
+ * request should not be retried.
+ * @param {*} error
+ * @param {number} attempt
+ * @returns {number|null}
+ */
+function getRetryDelay(error, attempt) {
+    const isRetryable = isNotionClientError(error) && retryableErrorCodes.includes(error.code);
+
+    if (!isRetryable || attempt >= maxRetries) {
+        return null;
+    }
+
+    // Respect the "Retry-After" header (in seconds) when Notion sends one
+    const retryAfter = parseInt(error.headers?.get?.('retry-after'));
+    if (retryAfter) {
+        return retryAfter * 1000;
+    }
+
+    return getBackoffDelay(attempt);
+}
+
+/**
+ * Wrap the Notion client method "method" so every call waits for the request budget, and rate
+ * limited, conflicting, and transient failures are retried.
+ * @param {Function} method
+ * @returns {Function}
+ */
+function throttle(method) {
+    return async (args) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await enqueue(() => method(args));
+            } catch (error) {
+                const retryDelay = getRetryDelay(error, attempt);
+                if (retryDelay === null) {
+                    throw error;
+                }
+
+                console.warn(`Notion request failed with '${error.code}' (retrying in ${retryDelay}ms)`);
+                await wait(retryDelay);
+            }
+        }
+    };
+}
+
+// The Notion client methods used by the integration, routed through the request queue
+const notion = {
+    databases: {
+        query: throttle(client.databases.query),
+        retrieve: throttle(client.databases.retrieve),
+        update: throttle(client.databases.update)
+    },
+    pages: {
+        create: throttle(client.pages.create),
+        retrieve: throttle(client.pages.retrieve),
+        update: throttle(client.pages.update),
+        properties: {
+            retrieve: throttle(client.pages.properties.retrieve)
+        }
+    },
+    users: {
+        me: throttle(client.users.me)
+    },
+    blocks: {
+        update: throttle(client.blocks.update),
+        delete: throttle(client.blocks.delete),
+        children: {
+            list: throttle(client.blocks.children.list),
+            append: throttle(client.blocks.children.append)
+        }
+    }
+};
+
+module.exports = { notion };
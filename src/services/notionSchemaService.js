@@ -0,0 +1,316 @@
+const { notion } = require('./notionClient');
+const { schema } = require('../config/notionSchema');
+const { databaseIds, allDatabaseIds, miniseriesEpisodeRelation, getDatabaseContentTypes, normalizeId } = require('../config/notionDatabases');
+
+// Options the integration writes to the "type" and "status" fields
+const typeOptions = ['Movie', 'Television', 'Television Season', 'Television Episode', 'Miniseries', 'Collection', 'Person'];
+const statusOptions = ['Rumored', 'Planned', 'In Production', 'Post Production', 'Released', 'Returning Series', 'Pilot', 'Ended', 'Canceled'];
+const watchStatusOptions = ['Not Started', 'Watching', 'Caught Up', 'Finished'];
+
+// Options the integration writes to each select or status field
+const fieldOptions = {
+    type: typeOptions,
+    status: statusOptions,
+    watchStatus: watchStatusOptions
+};
+
+// Fields only written to movie pages, and to movie and show pages
+const movieFields = ['theatricalReleaseDate', 'digitalReleaseDate', 'physicalReleaseDate', 'collection', 'budget', 'revenue'];
+const titleFields = [
+    'contentRating', 'streamProviders', 'rentProviders', 'buyProviders', 'watchLink',
+    'creators', 'networks', 'productionCompanies', 'originCountries', 'originalLanguage', 'keywords', 'personalRating'
+];
+
+// Fields only written to show pages, computed from the watched episodes
+const showFields = ['nextEpisode', 'episodesRemaining', 'timeRemaining', 'watchStatus'];
+
+// Number fields shown as amounts of money
+const currencyFields = ['budget', 'revenue'];
+
+// Fields written to person pages, which are only created when cast or crew fields are relations
+const personFields = ['title', 'tmdbId', 'type', 'biography', 'knownFor', 'refreshMetadata', 'locale'];
+const personPagesEnabled = ['cast', 'guestStars', 'director', 'composer'].some(field => schema[field]?.type === 'relation');
+
+// Fields that don't apply to the pages of each content type
+const excludedFields = {
+    movie: ['seasonNumber', 'episodeNumber', 'show', 'season', 'seasonNumbers', 'episodeNumbers', 'episodesCount', 'guestStars', 'biography', 'knownFor', ...showFields],
+    show: ['seasonNumber', 'episodeNumber', 'show', 'season', 'guestStars', 'biography', 'knownFor', ...movieFields],
+    season: ['episodeNumber', 'season', 'seasonNumbers', 'episodesCount', 'guestStars', 'biography', 'knownFor', ...titleFields, ...movieFields, ...showFields],
+    episode: ['seasonNumbers', 'episodeNumbers', 'episodesCount', 'biography', 'knownFor', ...titleFields, ...movieFields, ...showFields, ...(miniseriesEpisodeRelation === 'show' ? [] : ['show'])],
+    person: Object.keys(schema).filter(field => !personFields.includes(field))
+};
+
+// Content type of the database each relation points to
+const relationTargets = {
+    show: 'show',
+    season: 'season',
+    collection: 'movie',
+    cast: 'person',
+    guestStars: 'person',
+    director: 'person',
+    composer: 'person'
+};
+
+// Every database the integration writes to (the people database only when person pages are enabled)
+const checkedDatabaseIds = personPagesEnabled ? [...new Set([...allDatabaseIds, databaseIds.person])] : allDatabaseIds;
+
+// Rollups of the related pages' numbers, each shown in the "database" pages through the reverse of
+// the "relationField" relation of the "relationDatabase" pages
+const rollupSources = [
+    { field: 'seasonNumbers', database: 'show', relationDatabase: 'season', relationField: 'show', rollupField: 'seasonNumber' },
+    { field: 'episodeNumbers', database: 'season', relationDatabase: 'episode', relationField: 'season', rollupField: 'episodeNumber' },
+    { field: 'episodeNumbers', database: 'show', relationDatabase: 'episode', relationField: miniseriesEpisodeRelation, rollupField: 'episodeNumber' }
+];
+
+/**
+ * Get the content types of the pages written to the database with ID "databaseId".
+ * @param {string} databaseId
+ * @returns {Array<string>}
+ */
+function getWrittenContentTypes(databaseId) {
+    return getDatabaseContentTypes(databaseId).filter(contentType => contentType !== 'person' || personPagesEnabled);
+}
+
+/**
+ * Get the fields that apply to the pages of the database with ID "databaseId".
+ * @param {string} databaseId
+ * @returns {Array<string>}
+ */
+function getDatabaseFields(databaseId) {
+    const contentTypes = getWrittenContentTypes(databaseId);
+    return Object.keys(schema).filter(field => schema[field] && contentTypes.some(contentType => !excludedFields[contentType].includes(field)));
+}
+
+/**
+ * Get the prefix used to report a problem in the database with ID "databaseId" (empty when
+ * everything is written to a single database).
+ * @param {string} databaseId
+ * @returns {string}
+ */
+function getDatabaseLabel(databaseId) {
+    if (checkedDatabaseIds.length === 1) {
+        return '';
+    }
+    return `[${getWrittenContentTypes(databaseId).join('/')} database] `;
+}
+
+/**
+ * Construct the definition used to create a property of type "type" for "field" with
+ * databases.update, or null if the Notion API can't create it.
+ * @param {string} field
+ * @param {string} type
+ * @returns
+ */
+function getPropertyDefinition(field, type) {
+    switch (type) {
+        case 'select':
+        case 'multi_select': {
+            const options = fieldOptions[field] ?? [];
+            return { [type]: { options: options.map(name => ({ name: name, color: 'default' })) } };
+        }
+        case 'number':
+            return { number: { format: currencyFields.includes(field) ? 'dollar' : 'number' } };
+        case 'relation':
+            return { relation: { database_id: databaseIds[relationTargets[field]], type: 'dual_property', dual_property: {} } };
+        case 'rich_text':
+        case 'date':
+        case 'url':
+        case 'checkbox':
+            return { [type]: {} };
+        default: // title, status, and rollup properties can't be created this way
+            return null;
+    }
+}
+
+/**
+ * Check the properties of "database" against the fields that apply to its pages, adding the
+ * problems and fixes to "report".
+ * @param {*} database
+ * @param {*} report
+ */
+function checkDatabaseProperties(database, report) {
+    const databaseId = normalizeId(database.id);
+    const label = getDatabaseLabel(databaseId);
+    const properties = database.properties;
+    const titlePropertyName = Object.keys(properties).find(name => properties[name].type === 'title');
+    const fixes = {};
+
+    for (const field of getDatabaseFields(databaseId)) {
+        const property = schema[field];
+        const existingProperty = properties[property.name];
+
+        // Every database has exactly one title property, which can be renamed but not created
+        if (field === 'title' && !existingProperty) {
+            report.errors.push(`${label}The title property is named "${titlePropertyName}", not "${property.name}".`);
+            fixes[titlePropertyName] = { name: property.name };
+            continue;
+        }
+
+        // Rollups are only read, so the integration works without them (with fewer checks for new seasons and episodes)
+        if (!existingProperty && property.type === 'rollup') {
+            const canCreate = rollupSources.some(source => source.field === field && databaseIds[source.database] === databaseId);
+            report.warnings.push(`${label}The "${property.name}" rollup is missing.` + (canCreate ? '' : ' It must be created in Notion.'));
+            continue;
+        }
+
+        if (!existingProperty) {
+            const definition = getPropertyDefinition(field, property.type);
+            report.errors.push(`${label}The "${property.name}" property (${property.type}) is missing.` + (definition ? '' : ' It must be created in Notion.'));
+            if (definition) {
+                fixes[property.name] = definition;
+            }
+            continue;
+        }
+
+        if (existingProperty.type !== property.type) {
+            report.errors.push(`${label}The "${property.name}" property is a ${existingProperty.type} property, but a ${property.type} property is expected.`);
+            continue;
+        }
+
+        if (property.type === 'relation' && normalizeId(existingProperty.relation.database_id) !== databaseIds[relationTargets[field]]) {
+            report.errors.push(`${label}The "${property.name}" relation must relate to the ${relationTargets[field]} database.`);
+        }
+
+        if (property.type === 'select' || property.type === 'status') {
+            const expectedOptions = fieldOptions[field] ?? [];
+            const existingOptions = existingProperty[property.type].options.map(option => option.name);
+            const missingOptions = expectedOptions.filter(option => !existingOptions.includes(option));
+
+            if (missingOptions.length && property.type === 'status') {
+                // Pages with a status option that doesn't exist can't be written, and the API can't add status options
+                report.warnings.push(`${label}The "${property.name}" status property is missing the options ${missingOptions.map(option => `"${option}"`).join(', ')}. Add them in Notion, or pages with these statuses will fail to update.`);
+            } else if (missingOptions.length) {
+                report.warnings.push(`${label}The "${property.name}" select property is missing the options ${missingOptions.map(option => `"${option}"`).join(', ')}.`);
+                fixes[property.name] = {
+                    select: { options: [...existingProperty.select.options.map(option => ({ name: option.name })), ...missingOptions.map(name => ({ name: name, color: 'default' }))] }
+                };
+            }
+        }
+
+        if (property.type === 'rollup') {
+            const rollupProperty = schema[rollupSources.find(source => source.field === field)?.rollupField];
+            if (rollupProperty && existingProperty.rollup.rollup_property_name !== rollupProperty.name) {
+                report.warnings.push(`${label}The "${property.name}" rollup should show the "${rollupProperty.name}" property of the related pages.`);
+            }
+        }
+    }
+
+    if (Object.keys(fixes).length) {
+        report.fixes[databaseId] = fixes;
+    }
+}
+
+/**
+ * Retrieve the schema of each configured Notion database and check it against the properties the
+ * integration needs. Returns the problems that prevent the integration from working ("errors"),
+ * other problems ("warnings"), and the changes that can fix some of them ("fixes", a
+ * databases.update properties object for each database ID).
+ * @returns
+ */
+const checkDatabaseSchema = async () => {
+    const report = { errors: [], warnings: [], fixes: {} };
+
+    if (!allDatabaseIds.length) {
+        report.errors.push('No Notion database is configured. Set NOTION_DATABASE_ID.');
+    }
+
+    for (const databaseId of checkedDatabaseIds) {
+        try {
+            const database = await notion.databases.retrieve({ database_id: databaseId });
+            checkDatabaseProperties(database, report);
+        } catch (error) {
+            report.errors.push(`${getDatabaseLabel(databaseId)}The Notion database could not be retrieved (${error.message}). Ensure the database ID is correct and the database is shared with the integration.`);
+        }
+    }
+
+    return report;
+};
+
+/**
+ * Get the names of the properties changed by the fixes in "report".
+ * @param {*} report
+ * @returns {Array<string>}
+ */
+const getFixedProperties = (report) => {
+    return Object.entries(report.fixes).flatMap(([databaseId, fixes]) => Object.keys(fixes).map(name => getDatabaseLabel(databaseId) + name));
+};
+
+/**
+ * Create the missing properties and select options found by checkDatabaseSchema, then create
+ * the missing rollups (which need the relations to exist first). Returns the names of the
+ * created or updated properties.
+ * @param {*} report
+ * @returns
+ */
+const applySchemaFixes = async (report) => {
+    const updatedProperties = getFixedProperties(report);
+
+    for (const [databaseId, fixes] of Object.entries(report.fixes)) {
+        await notion.databases.update({ database_id: databaseId, properties: fixes });
+    }
+
+    const databases = {};
+    for (const databaseId of allDatabaseIds) {
+        databases[databaseId] = await notion.databases.retrieve({ database_id: databaseId });
+    }
+
+    // Rollups are created through the synced (reverse) property of their relation
+    const rollups = {};
+    for (const { field, database, relationDatabase, relationField, rollupField } of rollupSources) {
+        const databaseId = databaseIds[database];
+        const property = schema[field];
+        const relationProperty = schema[relationField] ? databases[databaseIds[relationDatabase]].properties[schema[relationField].name] : null;
+        const syncedPropertyName = relationProperty?.relation?.dual_property?.synced_property_name;
+
+        if (!property || !schema[rollupField] || !syncedPropertyName || databases[databaseId].properties[property.name] || rollups[databaseId]?.[property.name]) {
+            continue;
+        }
+
+        rollups[databaseId] = {
+            ...rollups[databaseId],
+            [property.name]: {
+                rollup: {
+                    relation_property_name: syncedPropertyName,
+                    rollup_property_name: schema[rollupField].name,
+                    function: 'show_original'
+                }
+            }
+        };
+        updatedProperties.push(getDatabaseLabel(databaseId) + property.name);
+    }
+
+    for (const [databaseId, properties] of Object.entries(rollups)) {
+        await notion.databases.update({ database_id: databaseId, properties: properties });
+    }
+
+    return updatedProperties;
+};
+
+/**
+ * Print the result of checkDatabaseSchema.
+ * @param {*} report
+ */
+const printSchemaReport = (report) => {
+    if (!report.errors.length && !report.warnings.length) {
+        console.log('Notion database schema is compatible.');
+        return;
+    }
+
+    for (const error of report.errors) {
+        console.error(`[schema error] ${error}`);
+    }
+    for (const warning of report.warnings) {
+        console.warn(`[schema warning] ${warning}`);
+    }
+
+    if (report.errors.length) {
+        console.error('Notion database schema is incompatible. Run "npm run setup-schema" to create the missing properties, or map them to other properties (or null) in notion-schema.json.');
+    }
+};
+
+module.exports = {
+    checkDatabaseSchema,
+    getFixedProperties,
+    applySchemaFixes,
+    printSchemaReport
+};
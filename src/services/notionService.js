@@ -1,34 +1,250 @@
-const { Client } = require('@notionhq/client');
+const { notion } = require('./notionClient');
+const tmdbService = require('./tmdbService');
+const { schema } = require('../config/notionSchema');
+const { databaseIds, allDatabaseIds, refreshedDatabaseIds, miniseriesEpisodeRelation, normalizeId } = require('../config/notionDatabases');
 require('dotenv').config();
 
-const notion = new Client({ auth: process.env.NOTION_API_TOKEN });
-const notionDatabaseId = process.env.NOTION_DATABASE_ID;
 const notionTitleDelimiter = ';';
+const notionPickDelimiter = '?';
+
+// Fields refreshed daily for the titles that haven't been watched yet
+const watchProviderFields = ['streamProviders', 'rentProviders', 'buyProviders', 'watchLink'];
+
+// Fields of show pages computed from the "watched" checkbox of their episodes
+const watchProgressFields = ['nextEpisode', 'episodesRemaining', 'timeRemaining', 'watchStatus'];
+const watchProgressEnabled = Boolean(schema.watched) && watchProgressFields.some(field => schema[field]);
+
+// Show statuses after which no more episodes are expected
+const endedStatuses = ['Ended', 'Canceled'];
+
+class NotionWriteError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotionWriteError';
+    }
+}
+
+// Icon and color of the callouts the integration replaces on every update, which tell them apart
+// from the user's own callouts (the search result pick list is also read back)
+const messageCallouts = {
+    error: { emoji: '❗', color: 'red_background' },
+    pick: { emoji: '❓', color: 'yellow_background' },
+    failedPages: { emoji: '⚠️', color: 'orange_background' }
+};
+
+// Whether a "You might also like" section is added to movie and TV show pages
+const recommendationsEnabled = ['true', 'yes'].includes((process.env.ADD_RECOMMENDATIONS || '').toLowerCase());
+const recommendationsEmoji = '💡';
+
+// Sections of the page body written from the TMDB data, in order (e.g. "trailer,tagline,synopsis,cast,images")
+const pageBodySections = (process.env.PAGE_BODY_SECTIONS || '').split(',').map(section => section.trim().toLowerCase()).filter(Boolean);
+const pageBodyEmoji = '🎬';
+const maxPageBodyCast = 5;
+const pageBodyImageColumns = 3;
+
+// Fields written as relations to person pages (when mapped to relation properties)
+const personFields = ['director', 'composer', 'cast', 'guestStars'];
+
+// Person page IDs by TMDB person ID, so each person is only looked up once when writing many
+// pages (e.g. every episode of a show). Entries expire in case person pages are deleted.
+const personPageIds = new Map();
+const personPageIdTtl = 10 * 60 * 1000;
+
+// Maximum number of options or related pages Notion accepts in a property value
+const maxListLength = 100;
 
 /**
- * Fetch Notion pages where "Title" ends with the delimiter ';'.
+ * Construct a database query filter on the property mapped to "field".
+ * @param {string} field 
+ * @param {*} condition 
  * @returns 
  */
-const fetchUpdatedPages = async () => {
-    // Query Notion pages where page title ends with the delimiter
-    const query = { 
-        database_id: notionDatabaseId,
-        filter: { property: 'Title', title: { ends_with: notionTitleDelimiter } },
-    };
+function propertyFilter(field, condition) {
+    return { property: schema[field].name, [schema[field].type]: condition };
+}
+
+/**
+ * Construct a Notion property value of the type mapped to "field" from "value".
+ * @param {string} field 
+ * @param {*} value 
+ * @returns 
+ */
+function toPropertyValue(field, value) {
+    const type = schema[field].type;
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+
+    switch (type) {
+        case 'title':
+        case 'rich_text':
+            return { [type]: value === null ? [] : [{ text: { content: text } }] };
+        case 'select':
+        case 'status':
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return { [type]: value };
+            }
+            return { [type]: text ? { name: text } : null };
+        case 'multi_select':
+            // Notion rejects option names with commas
+            return {
+                multi_select: (Array.isArray(value) ? value : [value])
+                    .slice(0, maxListLength)
+                    .map(name => ({ name: String(name).replace(/\s*,\s*/g, ' ').trim() }))
+            };
+        case 'date':
+            return { date: { start: value } };
+        case 'relation':
+            return { relation: value.slice(0, maxListLength).map(id => ({ id: id })) };
+        default: // number, url, checkbox
+            return { [type]: value };
+    }
+}
+
+/**
+ * Set the property mapped to "field" to "value" in the Notion properties object "properties"
+ * (fields that aren't mapped to a property are skipped).
+ * @param {*} properties 
+ * @param {string} field 
+ * @param {*} value 
+ */
+function setProperty(properties, field, value) {
+    if (schema[field]) {
+        properties[schema[field].name] = toPropertyValue(field, value);
+    }
+}
+
+/**
+ * Format the number of minutes "runtime" as hours and minutes (e.g. "1h 30m").
+ * @param {number} runtime 
+ * @returns {string}
+ */
+function formatRuntime(runtime) {
+    const runtimeParts = [];
+    const runtimeHours = Math.floor(runtime / 60);
+    if (runtimeHours) {
+        runtimeParts.push(runtimeHours + 'h');
+    }
+    const runtimeMinutes = runtime % 60;
+    if (runtimeMinutes) {
+        runtimeParts.push(runtimeMinutes + 'm');
+    }
+    return runtimeParts.join(' ');
+}
+
+/**
+ * Get the number of minutes of the runtime "runtime", a number or a string formatted by formatRuntime.
+ * @param {*} runtime 
+ * @returns {number}
+ */
+function parseRuntime(runtime) {
+    if (typeof runtime === 'number') {
+        return runtime;
+    }
+    const hours = parseInt(/(\d+)h/.exec(runtime ?? '')?.[1] ?? 0);
+    const minutes = parseInt(/(\d+)m/.exec(runtime ?? '')?.[1] ?? 0);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the value of the property mapped to "field" from "page" (e.g. the plain text of a title,
+ * the name of a select option, or the page IDs of a relation). Returns null if the field isn't
+ * mapped to a property.
+ * @param {*} page 
+ * @param {string} field 
+ * @returns 
+ */
+const getPropertyValue = (page, field) => {
+    const property = schema[field] ? page.properties[schema[field].name] : null;
+    if (!property) {
+        return null;
+    }
+
+    switch (property.type) {
+        case 'title':
+        case 'rich_text':
+            return property[property.type].map(text => text.plain_text).join('');
+        case 'select':
+        case 'status':
+            return property[property.type]?.name ?? null;
+        case 'multi_select':
+            return property.multi_select.map(option => option.name);
+        case 'date':
+            return property.date?.start ?? null;
+        case 'relation':
+            return property.relation.map(relation => relation.id);
+        default: // number, url, checkbox
+            return property[property.type];
+    }
+};
+
+/**
+ * Get the language and region "page" was imported in (null for each one that wasn't requested by
+ * the query), which refreshes and daily updates keep using.
+ * @param {*} page 
+ * @returns {{ language: string, region: string }}
+ */
+const getPageLocale = (page) => {
+    const [language, region] = (getPropertyValue(page, 'locale') || '').split(',').map(part => part.trim());
+    return { language: language || null, region: region || null };
+};
+
+/**
+ * Get the title of "page".
+ * @param {*} page 
+ * @returns {string}
+ */
+const getPageTitle = (page) => {
+    return getPropertyValue(page, 'title') || '';
+};
+
+/**
+ * Query the pages matching "filter" in each of the databases with IDs "queriedDatabaseIds" (all
+ * configured databases by default).
+ * @param {*} filter 
+ * @param {Array<string>} queriedDatabaseIds 
+ * @returns 
+ */
+const queryPages = async (filter, queriedDatabaseIds = allDatabaseIds) => {
+    const results = [];
+
+    for (const databaseId of queriedDatabaseIds) {
+        const query = {
+            database_id: databaseId,
+            filter: filter
+        };
 
-    try {
         const response = await notion.databases.query(query);
+        results.push(...response.results);
         let nextCursor = response.next_cursor;
 
         // Get all pages if results are paginated
         while (nextCursor) {
             query.start_cursor = nextCursor;
             const nextResponse = await notion.databases.query(query);
-            response.results.push(...nextResponse.results);
+            results.push(...nextResponse.results);
             nextCursor = nextResponse.next_cursor;
         }
+    }
+
+    return results;
+};
+
+/**
+ * Fetch every page in the databases with IDs "queriedDatabaseIds" (all configured databases by default).
+ * @param {Array<string>} queriedDatabaseIds 
+ * @returns 
+ */
+const fetchAllPages = async (queriedDatabaseIds = allDatabaseIds) => {
+    return await queryPages(undefined, queriedDatabaseIds);
+};
 
-        return response.results;
+/**
+ * Fetch Notion pages where "Title" ends with the delimiter ';'.
+ * @returns 
+ */
+const fetchUpdatedPages = async () => {
+    try {
+        // Query Notion pages where page title ends with the delimiter
+        return await queryPages(propertyFilter('title', { ends_with: notionTitleDelimiter }));
     } catch (error) {
         console.error('Error fetching Notion pages:', error);
     }
@@ -42,70 +258,432 @@ const fetchUpdatedPages = async () => {
 const fetchUnreleasedPages = async () => {
     const today = new Date().toISOString().split('T')[0];
 
-    const query = {
-        database_id: notionDatabaseId,
-        filter: {
-            or: [
-                { property: 'Release Date', date: { on_or_after: today } },
-                {
-                    and: [
-                        { property: 'Release Status', status: { does_not_equal: 'Released' } },
-                        { property: 'Release Status', status: { does_not_equal: 'Ended' } },
-                        { property: 'Release Status', status: { does_not_equal: 'Canceled' } },
-                        { property: 'Release Status', status: { is_not_empty: true } },
-                    ]
-                }
+    // Only use the release date and status if they are mapped to properties
+    const filters = [];
+    if (schema.releaseDate) {
+        filters.push(propertyFilter('releaseDate', { on_or_after: today }));
+    }
+    if (schema.status) {
+        filters.push({
+            and: [
+                propertyFilter('status', { does_not_equal: 'Released' }),
+                propertyFilter('status', { does_not_equal: 'Ended' }),
+                propertyFilter('status', { does_not_equal: 'Canceled' }),
+                propertyFilter('status', { is_not_empty: true }),
             ]
-        }
-    };
+        });
+    }
+    if (!filters.length) {
+        return [];
+    }
 
     try {
-        const response = await notion.databases.query(query);
-        let nextCursor = response.next_cursor;
+        return await queryPages({ or: filters });
+    } catch (error) {
+        console.error('Error fetching unreleased Notion pages:', error);
+    }
+};
 
-        // Get all pages if results are paginated
-        while (nextCursor) {
-            query.start_cursor = nextCursor;
-            const nextResponse = await notion.databases.query(query);
-            response.results.push(...nextResponse.results);
-            nextCursor = nextResponse.next_cursor;
-        }
+/**
+ * Fetch the Notion pages with an upcoming release: the unreleased pages, and the movie pages where
+ * the theatrical, digital, or physical release date is on or after today's date (a released movie
+ * can still have an upcoming digital or physical release).
+ * @returns
+ */
+const fetchUpcomingReleasePages = async () => {
+    const pages = await fetchUnreleasedPages();
+    if (!pages) {
+        return;
+    }
+
+    // Only use the movie release dates that are mapped to properties
+    const today = new Date().toISOString().split('T')[0];
+    const filters = ['theatricalReleaseDate', 'digitalReleaseDate', 'physicalReleaseDate']
+        .filter(field => schema[field])
+        .map(field => propertyFilter(field, { on_or_after: today }));
+    if (!filters.length) {
+        return pages;
+    }
 
-        return response.results;
+    try {
+        const moviePages = await queryPages({ or: filters }, [databaseIds.movie]);
+        const pageIds = new Set(pages.map(page => page.id));
+        return [...pages, ...moviePages.filter(page => !pageIds.has(page.id))];
     } catch (error) {
-        console.error('Error fetching unreleased Notion pages:', error);
+        console.error('Error fetching Notion pages with an upcoming release:', error);
     }
 };
 
 const fetchNeedsRefreshPages = async () => {
-    const query = {
-        database_id: notionDatabaseId,
-        filter: {
-            and: [
-                { property: 'Refresh Metadata', checkbox: { equals: true } },
-                { property: 'TMDB ID', number: { is_not_empty: true } }
-            ]
+    // Refresh requests can only be made from Notion if the checkbox is mapped to a property
+    if (!schema.refreshMetadata) {
+        return [];
+    }
+
+    const filter = {
+        and: [
+            propertyFilter('refreshMetadata', { equals: true }),
+            propertyFilter('tmdbId', { is_not_empty: true })
+        ]
+    };
+
+    try {
+        return await queryPages(filter, refreshedDatabaseIds);
+    } catch (error) {
+        console.error('Error fetching pages that requested a metadata refresh:', error);
+    }
+};
+
+/**
+ * Fetch the imported movie and TV show pages that haven't been watched yet (all of them if the
+ * "watched" checkbox isn't mapped to a property), whose watch providers are refreshed daily.
+ * Returns an empty list if no watch provider field is mapped to a property.
+ * @returns 
+ */
+const fetchWatchProviderPages = async () => {
+    if (!watchProviderFields.some(field => schema[field])) {
+        return [];
+    }
+
+    const filters = [
+        propertyFilter('tmdbId', { is_not_empty: true }),
+        { or: ['Movie', 'Television', 'Miniseries'].map(type => propertyFilter('type', { equals: type })) }
+    ];
+    if (schema.watched) {
+        filters.push(propertyFilter('watched', { equals: false }));
+    }
+
+    try {
+        return await queryPages({ and: filters }, [...new Set([databaseIds.movie, databaseIds.show])]);
+    } catch (error) {
+        console.error('Error fetching pages to refresh the watch providers of:', error);
+    }
+};
+
+/**
+ * Fetch the imported movie and TV show pages whose watch progress is tracked: every TV show and
+ * miniseries page. Returns an empty list if watch progress isn't tracked.
+ * @returns 
+ */
+const fetchWatchProgressPages = async () => {
+    if (!watchProgressEnabled) {
+        return [];
+    }
+
+    const filter = {
+        and: [
+            propertyFilter('tmdbId', { is_not_empty: true }),
+            { or: ['Television', 'Miniseries'].map(type => propertyFilter('type', { equals: type })) }
+        ]
+    };
+
+    try {
+        return await queryPages(filter, [databaseIds.show]);
+    } catch (error) {
+        console.error('Error fetching pages to update the watch progress of:', error);
+    }
+};
+
+/**
+ * Fetch the episode pages edited since "since" (e.g. checked as watched). Returns an empty list if
+ * watch progress isn't tracked.
+ * @param {Date} since 
+ * @returns 
+ */
+const fetchRecentlyEditedEpisodePages = async (since) => {
+    if (!watchProgressEnabled) {
+        return [];
+    }
+
+    // Notion rounds edit times down to the minute
+    const editedAfter = new Date(since.getTime() - 60 * 1000).toISOString();
+    const filter = {
+        and: [
+            { timestamp: 'last_edited_time', last_edited_time: { on_or_after: editedAfter } },
+            propertyFilter('type', { equals: 'Television Episode' })
+        ]
+    };
+
+    try {
+        return await queryPages(filter, [databaseIds.episode]);
+    } catch (error) {
+        console.error('Error fetching recently edited episode pages:', error);
+    }
+};
+
+/**
+ * Fetch Notion pages waiting for the user to pick one of several search results (the "Title"
+ * ends with the delimiter '?' and the page hasn't been imported yet).
+ * @returns 
+ */
+const fetchPendingPickPages = async () => {
+    const filter = {
+        and: [
+            propertyFilter('title', { ends_with: notionPickDelimiter }),
+            propertyFilter('tmdbId', { is_empty: true })
+        ]
+    };
+
+    try {
+        return await queryPages(filter);
+    } catch (error) {
+        console.error('Error fetching pages waiting for a search result pick:', error);
+    }
+};
+
+/**
+ * Fetch the imported movie and TV show pages edited since "since" (e.g. with recommended titles
+ * the user checked, or a changed personal rating).
+ * @param {Date} since 
+ * @returns 
+ */
+const fetchRecentlyEditedPages = async (since) => {
+    // Notion rounds edit times down to the minute
+    const editedAfter = new Date(since.getTime() - 60 * 1000).toISOString();
+    const filter = {
+        and: [
+            { timestamp: 'last_edited_time', last_edited_time: { on_or_after: editedAfter } },
+            propertyFilter('tmdbId', { is_not_empty: true }),
+            { or: ['Movie', 'Television', 'Miniseries'].map(type => propertyFilter('type', { equals: type })) }
+        ]
+    };
+
+    try {
+        return await queryPages(filter, [...new Set([databaseIds.movie, databaseIds.show])]);
+    } catch (error) {
+        console.error('Error fetching recently edited Notion pages:', error);
+    }
+};
+
+/**
+ * Create a page titled "title" (e.g. a query) in the database of the content type "contentType"
+ * (movie, show, season, or episode), and return it.
+ * @param {string} contentType 
+ * @param {string} title 
+ * @returns 
+ */
+const createRequestPage = async (contentType, title) => {
+    const properties = {};
+    setProperty(properties, 'title', title);
+
+    return await notion.pages.create({
+        parent: { database_id: databaseIds[contentType] },
+        properties: properties
+    });
+};
+
+/**
+ * Check if "block" is the message callout "message" (e.g. 'pick' for the search result pick list).
+ * Emoji are compared without variation selectors, which Notion may add or remove.
+ * @param {*} block 
+ * @param {string} message 
+ * @returns {boolean}
+ */
+function isMessageBlock(block, message) {
+    const { emoji, color } = messageCallouts[message];
+    const stripVariations = (text) => (text || '').replace(/\uFE0F/g, '');
+    return block.type === 'callout' && block.callout.color === color && stripVariations(block.callout.icon?.emoji) === stripVariations(emoji);
+}
+
+/**
+ * Check if "block" is the "You might also like" callout.
+ * @param {*} block 
+ * @returns {boolean}
+ */
+function isRecommendationsBlock(block) {
+    return block.type === 'callout' && block.callout.color === 'blue_background' && block.callout.icon?.emoji === recommendationsEmoji;
+}
+
+/**
+ * Get the URL of the page of the recommended title with TMDB ID "tmdbId" and media type
+ * "mediaType", creating a request page for it (picked up like any new query) if it isn't in
+ * the database yet.
+ * @param {string} mediaType 
+ * @param {number} tmdbId 
+ * @returns 
+ */
+async function getRecommendationPageUrl(mediaType, tmdbId) {
+    const types = mediaType === 'movie' ? ['Movie'] : ['Television', 'Miniseries'];
+    for (const type of types) {
+        const existingPages = await findPagesByTMDBId(tmdbId, type);
+        if (existingPages.length) {
+            return existingPages[0].url;
         }
     }
 
+    const page = await createRequestPage(mediaType === 'movie' ? 'movie' : 'show', `tmdb:${mediaType}/${tmdbId}${notionTitleDelimiter}`);
+    console.log('Request page created for a recommended title:', tmdbId);
+    return page.url;
+}
+
+/**
+ * Create a request page for each recommended title the user checked in the "You might also like"
+ * callout of "page". Each checked title is then linked to its Notion page instead of its TMDB
+ * page, so it is only imported once.
+ * @param {*} page 
+ */
+const importPickedRecommendations = async (page) => {
+    if (!recommendationsEnabled) {
+        return;
+    }
+
     try {
-        const response = await notion.databases.query(query);
-        let nextCursor = response.next_cursor;
+        const response = await notion.blocks.children.list({
+            block_id: page.id
+        });
 
-        // Get all pages if results are paginated
-        while (nextCursor) {
-            query.start_cursor = nextCursor;
-            const nextResponse = await notion.databases.query(query);
-            response.results.push(...nextResponse.results);
-            nextCursor = nextResponse.next_cursor;
+        const recommendationsBlock = response.results.find(isRecommendationsBlock);
+        if (!recommendationsBlock) {
+            return;
         }
 
-        return response.results;
+        const recommendationsResponse = await notion.blocks.children.list({
+            block_id: recommendationsBlock.id
+        });
+
+        for (const block of recommendationsResponse.results) {
+            const link = block.type === 'to_do' && block.to_do.checked ? block.to_do.rich_text.find(text => text.href)?.href || '' : '';
+            const match = link.match(/themoviedb\.org\/(movie|tv)\/(\d+)/);
+            if (!match) {
+                continue;
+            }
+
+            const pageUrl = await getRecommendationPageUrl(match[1], parseInt(match[2]));
+            await notion.blocks.update({
+                block_id: block.id,
+                to_do: {
+                    rich_text: block.to_do.rich_text.map(text => ({
+                        type: 'text',
+                        text: { content: text.plain_text, link: text.href ? { url: pageUrl } : null },
+                        annotations: text.annotations
+                    })),
+                    checked: true
+                }
+            });
+        }
     } catch (error) {
-        console.error('Error fetching pages that requested a metadata refresh:', error);
+        console.error('Error importing the picked recommendations:', error);
+    }
+};
+
+/**
+ * Get the search result the user checked in the "Did you mean..." callout of the page "page",
+ * along with the original query string. Returns null if nothing has been checked yet.
+ * @param {*} page 
+ * @returns 
+ */
+const getPickedCandidate = async (page) => {
+    const pageTitle = getPageTitle(page);
+
+    try {
+        const response = await notion.blocks.children.list({
+            block_id: page.id
+        });
+
+        const pickCalloutBlock = response.results.find(block => isMessageBlock(block, 'pick'));
+        if (!pickCalloutBlock) {
+            return null;
+        }
+
+        const candidatesResponse = await notion.blocks.children.list({
+            block_id: pickCalloutBlock.id
+        });
+
+        const pickedBlock = candidatesResponse.results.find(block => block.type === 'to_do' && block.to_do.checked);
+        if (!pickedBlock) {
+            return null;
+        }
+
+        // The candidate's TMDB ID and media type are stored in the link to its TMDB page
+        const link = pickedBlock.to_do.rich_text.find(text => text.href)?.href || '';
+        const match = link.match(/themoviedb\.org\/(movie|tv|collection)\/(\d+)/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            queryString: pageTitle.slice(0, -notionPickDelimiter.length) + notionTitleDelimiter,
+            id: parseInt(match[2]),
+            mediaType: match[1]
+        };
+    } catch (error) {
+        console.error('Error fetching the picked search result:', error);
+        return null;
+    }
+};
+
+/**
+ * Retrieve the Notion page with ID "pageId".
+ * @param {string} pageId 
+ * @returns 
+ */
+const fetchPage = async (pageId) => {
+    try {
+        return await notion.pages.retrieve({ page_id: pageId });
+    } catch (error) {
+        console.error('Error fetching Notion page:', error);
+    }
+};
+
+/**
+ * Get the ID of the integration's bot user, used to recognize changes made by the integration itself.
+ * @returns 
+ */
+const fetchBotUserId = async () => {
+    try {
+        const botUser = await notion.users.me({});
+        return botUser.id;
+    } catch (error) {
+        console.error('Error fetching Notion bot user:', error);
     }
 };
 
+/**
+ * Check if "page" belongs to one of the Notion databases used by the integration (including the
+ * people database, whose pages can only be refreshed).
+ * @param {*} page 
+ * @returns {boolean}
+ */
+const isDatabasePage = (page) => {
+    return page.parent?.type === 'database_id' && refreshedDatabaseIds.includes(normalizeId(page.parent.database_id));
+};
+
+/**
+ * Check if "page" belongs to one of the Notion databases scanned for requests.
+ * @param {*} page 
+ * @returns {boolean}
+ */
+function isRequestDatabasePage(page) {
+    return page.parent?.type === 'database_id' && allDatabaseIds.includes(normalizeId(page.parent.database_id));
+}
+
+/**
+ * Check if "page" has a query waiting to be imported (same criteria as fetchUpdatedPages).
+ * @param {*} page 
+ * @returns {boolean}
+ */
+const isUpdatedPage = (page) => {
+    return isRequestDatabasePage(page) && getPageTitle(page).endsWith(notionTitleDelimiter);
+};
+
+/**
+ * Check if "page" is waiting for a search result pick (same criteria as fetchPendingPickPages).
+ * @param {*} page 
+ * @returns {boolean}
+ */
+const isPendingPickPage = (page) => {
+    return isRequestDatabasePage(page) && getPageTitle(page).endsWith(notionPickDelimiter) && getPropertyValue(page, 'tmdbId') === null;
+};
+
+/**
+ * Check if "page" requested a metadata refresh (same criteria as fetchNeedsRefreshPages).
+ * @param {*} page 
+ * @returns {boolean}
+ */
+const isRefreshRequestedPage = (page) => {
+    return getPropertyValue(page, 'refreshMetadata') === true && getPropertyValue(page, 'tmdbId') !== null;
+};
+
 /**
  * Get the TMDB show ID of the parent show of the season "seasonPage".
  * @param {*} seasonPage 
@@ -114,88 +692,218 @@ const fetchNeedsRefreshPages = async () => {
 const getTMDBShowIdFromSeason = async (seasonPage) => {
     try {
         const showPage = await notion.pages.retrieve({
-            page_id: seasonPage.properties['Show'].relation[0].id
+            page_id: getPropertyValue(seasonPage, 'show')[0]
         });
-        return showPage.properties['TMDB ID'].number;
+        return getPropertyValue(showPage, 'tmdbId');
     } catch (error) {
         console.error('Error fetching the TMDB show ID from season page:', error);
     }
 };
 
 /**
- * Get the TMDB show ID of the parent show of the episode "episodePage".
+ * Get the page of the parent show of the episode "episodePage".
  * @param {*} episodePage 
  * @returns 
  */
-const getTMDBShowIdFromEpisode = async (episodePage) => {
-    try {
-        const seasonPage = await notion.pages.retrieve({
-            page_id: episodePage.properties['Season'].relation[0].id
+const getShowPageFromEpisode = async (episodePage) => {
+    // For a miniseries TV episode related to the show through the "Show" relation property
+    const relatedShowPageId = getPropertyValue(episodePage, 'show')?.[0] ?? null;
+    if (relatedShowPageId) {
+        return await notion.pages.retrieve({
+            page_id: relatedShowPageId
         });
+    }
 
-        const showPageId = seasonPage.properties['Show'].relation.length ? seasonPage.properties['Show'].relation[0].id : null;
+    const seasonPage = await notion.pages.retrieve({
+        page_id: getPropertyValue(episodePage, 'season')[0]
+    });
 
-        if (showPageId) { // For a regular TV episode (episode is related to a season, which is related to the show)
-            const showPage = await notion.pages.retrieve({
-                page_id: showPageId
-            });
-            return showPage.properties['TMDB ID'].number;
-        } else { // For a miniseries TV episode (episode is related to a show directly, via the "Season" relation property)
-            return seasonPage.properties['TMDB ID'].number;
-        }
+    const showPageId = getPropertyValue(seasonPage, 'show')?.[0] ?? null;
+
+    if (showPageId) { // For a regular TV episode (episode is related to a season, which is related to the show)
+        return await notion.pages.retrieve({
+            page_id: showPageId
+        });
+    } else { // For a miniseries TV episode (episode is related to a show directly, via the "Season" relation property)
+        return seasonPage;
+    }
+};
+
+/**
+ * Get the TMDB show ID of the parent show of the episode "episodePage".
+ * @param {*} episodePage 
+ * @returns 
+ */
+const getTMDBShowIdFromEpisode = async (episodePage) => {
+    try {
+        const showPage = await getShowPageFromEpisode(episodePage);
+        return getPropertyValue(showPage, 'tmdbId');
     } catch (error) {
         console.error('Error fetching the TMDB show ID from episode page:', error);
     }
 };
 
+/**
+ * Get the season pages related to the show page with ID "showPageId".
+ * @param {string} showPageId 
+ * @returns 
+ */
 async function getSeasonPages(showPageId) {
-    const query = {
-        database_id: notionDatabaseId,
-        filter: { property: 'Show', relation: { contains: showPageId } },
-    };
+    if (!schema.show) {
+        return [];
+    }
 
     try {
-        const response = await notion.databases.query(query);
-        let nextCursor = response.next_cursor;
-
-        // Get all pages if results are paginated
-        while (nextCursor) {
-            query.start_cursor = nextCursor;
-            const nextResponse = await notion.databases.query(query);
-            response.results.push(...nextResponse.results);
-            nextCursor = nextResponse.next_cursor;
-        }
-
-        return response.results;
+        return await queryPages(propertyFilter('show', { contains: showPageId }), [databaseIds.season]);
     } catch (error) {
         console.error('Error fetching season pages:', error);
     }
 }
 
-async function getEpisodePages(seasonPageId) {
-    const query = {
-        database_id: notionDatabaseId,
-        filter: { property: 'Season', relation: { contains: seasonPageId } },
-    };
+/**
+ * Get the episode pages related to the page with ID "parentPageId" through the "relationField"
+ * relation (the season, or the show of a miniseries).
+ * @param {string} parentPageId 
+ * @param {string} relationField 
+ * @returns 
+ */
+async function getEpisodePages(parentPageId, relationField = 'season') {
+    if (!schema[relationField]) {
+        return [];
+    }
 
     try {
-        const response = await notion.databases.query(query);
-        let nextCursor = response.next_cursor;
+        return await queryPages(propertyFilter(relationField, { contains: parentPageId }), [databaseIds.episode]);
+    } catch (error) {
+        console.error('Error fetching episode pages:', error);
+    }
+}
 
-        // Get all pages if results are paginated
-        while (nextCursor) {
-            query.start_cursor = nextCursor;
-            const nextResponse = await notion.databases.query(query);
-            response.results.push(...nextResponse.results);
-            nextCursor = nextResponse.next_cursor;
+/**
+ * Get the episode pages of the TV show or miniseries page "showPage", from all of its seasons.
+ * @param {*} showPage 
+ * @returns 
+ */
+async function getShowEpisodePages(showPage) {
+    if (getPropertyValue(showPage, 'type') === 'Miniseries') {
+        const episodePages = await getEpisodePages(showPage.id, miniseriesEpisodeRelation);
+        if (!episodePages) {
+            throw new Error('The episode pages of the miniseries could not be fetched.');
         }
+        return episodePages;
+    }
 
-        return response.results;
-    } catch (error) {
-        console.error('Error fetching episode pages:', error);
+    const seasonPages = await getSeasonPages(showPage.id);
+    if (!seasonPages) {
+        throw new Error('The season pages of the show could not be fetched.');
+    }
+
+    const episodePages = [];
+    for (const seasonPage of seasonPages) {
+        const seasonEpisodePages = await getEpisodePages(seasonPage.id);
+        if (!seasonEpisodePages) {
+            throw new Error('The episode pages of the show could not be fetched.');
+        }
+        episodePages.push(...seasonEpisodePages);
+    }
+    return episodePages;
+}
+
+/**
+ * Get a short description of the episode "episode" for the "Next Episode" property (e.g. "S1E2: Title").
+ * @param {*} episode 
+ * @returns {string}
+ */
+function describeEpisode(episode) {
+    return `S${episode.seasonNumber}E${episode.episodeNumber}: ${episode.title}`;
+}
+
+/**
+ * Compute the watch progress of the show page "showPage" from its episode pages "episodePages"
+ * (specials are left out): the next episode to watch, the number and runtime of the aired
+ * episodes that haven't been watched, and the watch status. A show is "Finished" once every
+ * episode is watched and it has ended, and "Caught Up" while more episodes are expected.
+ * @param {*} showPage 
+ * @param {Array<*>} episodePages 
+ * @returns 
+ */
+function constructWatchProgress(showPage, episodePages) {
+    const today = new Date().toISOString().split('T')[0];
+
+    const episodes = episodePages
+        .map(page => ({
+            title: getPageTitle(page),
+            seasonNumber: getPropertyValue(page, 'seasonNumber'),
+            episodeNumber: getPropertyValue(page, 'episodeNumber'),
+            releaseDate: getPropertyValue(page, 'releaseDate'),
+            runtime: parseRuntime(getPropertyValue(page, 'runtime')),
+            watched: getPropertyValue(page, 'watched') === true
+        }))
+        .filter(episode => episode.seasonNumber !== 0)
+        .sort((a, b) => a.seasonNumber - b.seasonNumber || a.episodeNumber - b.episodeNumber);
+
+    const airedEpisodes = episodes.filter(episode => episode.releaseDate && episode.releaseDate <= today);
+    const remainingEpisodes = airedEpisodes.filter(episode => !episode.watched);
+    const upcomingEpisode = episodes.find(episode => !airedEpisodes.includes(episode));
+
+    // The next episode is the first unwatched one after the last watched episode (or the first unwatched one)
+    const lastWatchedIndex = airedEpisodes.findLastIndex(episode => episode.watched);
+    const nextEpisode = airedEpisodes.slice(lastWatchedIndex + 1).find(episode => !episode.watched) ?? remainingEpisodes[0];
+
+    let nextEpisodeText = null;
+    if (nextEpisode) {
+        nextEpisodeText = describeEpisode(nextEpisode);
+    } else if (upcomingEpisode) {
+        nextEpisodeText = describeEpisode(upcomingEpisode) + (upcomingEpisode.releaseDate ? ` (${upcomingEpisode.releaseDate})` : '');
+    }
+
+    let watchStatus = 'Watching';
+    if (!episodes.some(episode => episode.watched)) {
+        watchStatus = 'Not Started';
+    } else if (!remainingEpisodes.length) {
+        const hasEnded = endedStatuses.includes(getPropertyValue(showPage, 'status')) && !upcomingEpisode;
+        watchStatus = hasEnded ? 'Finished' : 'Caught Up';
     }
+
+    const minutesRemaining = remainingEpisodes.reduce((total, episode) => total + episode.runtime, 0);
+
+    return {
+        nextEpisode: nextEpisodeText,
+        episodesRemaining: remainingEpisodes.length,
+        timeRemaining: schema.timeRemaining?.type === 'number' ? minutesRemaining : formatRuntime(minutesRemaining) || null,
+        watchStatus: watchStatus
+    };
 }
 
+/**
+ * Update the watch progress properties of the TV show or miniseries page "showPage" from the
+ * "watched" checkbox of its episode pages. The page is only written when the progress changed.
+ * @param {*} showPage 
+ */
+const updateWatchProgress = async (showPage) => {
+    if (!watchProgressEnabled) {
+        return;
+    }
+
+    const episodePages = await getShowEpisodePages(showPage);
+    const progress = constructWatchProgress(showPage, episodePages);
+
+    const properties = {};
+    for (const [field, value] of Object.entries(progress)) {
+        // Empty text properties are read back as an empty string
+        if (schema[field] && (getPropertyValue(showPage, field) ?? '') !== (value ?? '')) {
+            setProperty(properties, field, value);
+        }
+    }
+
+    if (Object.keys(properties).length) {
+        await notion.pages.update({
+            page_id: showPage.id,
+            properties: properties
+        });
+    }
+};
+
 const fetchProperty = async (pageId, propertyId) => {
     const query = {
         page_id: pageId,
@@ -210,6 +918,7 @@ const fetchProperty = async (pageId, propertyId) => {
         while (nextCursor) {
             query.start_cursor = nextCursor;
             const nextResponse = await notion.pages.properties.retrieve(query);
+            response.results?.push(...nextResponse.results);
             response.property_item = nextResponse.property_item;
             nextCursor = nextResponse.next_cursor;
         }
@@ -220,91 +929,329 @@ const fetchProperty = async (pageId, propertyId) => {
     }
 };
 
+/**
+ * Get the numbers listed by the rollup property mapped to "field" of "page" (e.g. the season
+ * numbers of a show). Returns an empty array if the field isn't mapped to a property.
+ * @param {*} page 
+ * @param {string} field 
+ * @returns {Promise<Array<number>>}
+ */
+const fetchRollupValues = async (page, field) => {
+    const property = schema[field] ? page.properties[schema[field].name] : null;
+    if (!property) {
+        return [];
+    }
+
+    const response = await fetchProperty(page.id, property.id);
+    return response.results.map(item => item.number);
+};
+
+/**
+ * Get the number calculated by the rollup property mapped to "field" of "page" (e.g. the number
+ * of episodes of a show). Returns 0 if the field isn't mapped to a property.
+ * @param {*} page 
+ * @param {string} field 
+ * @returns {Promise<number>}
+ */
+const fetchRollupNumber = async (page, field) => {
+    const property = schema[field] ? page.properties[schema[field].name] : null;
+    if (!property) {
+        return 0;
+    }
+
+    const response = await fetchProperty(page.id, property.id);
+    return response.property_item.rollup.number ?? 0;
+};
+
+/**
+ * Check whether "field" is written as a relation to person pages.
+ * @param {string} field 
+ * @returns {boolean}
+ */
+function isPersonRelation(field) {
+    return schema[field]?.type === 'relation';
+}
+
+/**
+ * Create a page for the person "person" in the people database and return its ID. The biography
+ * is fetched from TMDB, falling back to the details from the credits if it can't be.
+ * @param {*} person 
+ * @returns 
+ */
+async function createPersonPage(person) {
+    let details = person;
+    try {
+        const { personData } = await tmdbService.fetchPersonDetails(person.tmdbId);
+        details = tmdbService.constructPersonDetails(personData);
+    } catch (error) {
+        console.error(`Error fetching the biography of ${person.title}:`, error);
+    }
+
+    const properties = {};
+    setProperty(properties, 'title', details.title);
+    setProperty(properties, 'tmdbId', details.tmdbId);
+    setProperty(properties, 'type', { name: 'Person', color: 'default' });
+    if (details.biography) {
+        setProperty(properties, 'biography', details.biography);
+    }
+    if (details.knownFor) {
+        setProperty(properties, 'knownFor', details.knownFor);
+    }
+
+    const response = await notion.pages.create({
+        parent: { database_id: databaseIds.person },
+        properties: properties,
+        icon: details.poster ? { type: 'external', external: { url: details.poster } } : null
+    });
+    console.log('Page created:', details.title);
+    return response.id;
+}
+
+/**
+ * Get the ID of the page of the person "person", creating it if it doesn't exist yet.
+ * @param {*} person 
+ * @returns 
+ */
+async function getPersonPageId(person) {
+    const cached = personPageIds.get(person.tmdbId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return await cached.pageId;
+    }
+
+    // The pending lookup is cached, so concurrent writes don't create the same person twice
+    const pageId = (async () => {
+        const existingPages = await findPagesByTMDBId(person.tmdbId, 'Person', [databaseIds.person]);
+        return existingPages.length ? existingPages[0].id : await createPersonPage(person);
+    })();
+    personPageIds.set(person.tmdbId, { pageId: pageId, expiresAt: Date.now() + personPageIdTtl });
+
+    try {
+        return await pageId;
+    } catch (error) {
+        personPageIds.delete(person.tmdbId);
+        throw error;
+    }
+}
+
+/**
+ * Set the person relations in "properties" to the pages of the people in "details.people",
+ * creating the pages that don't exist yet (people whose page can't be created are skipped).
+ * @param {*} properties 
+ * @param {*} details 
+ */
+async function setPersonProperties(properties, details) {
+    for (const field of personFields) {
+        if (!isPersonRelation(field) || !details.people?.[field]) {
+            continue;
+        }
+
+        const pageIds = [];
+        for (const person of details.people[field]) {
+            try {
+                pageIds.push(await getPersonPageId(person));
+            } catch (error) {
+                console.error(`Error getting the page of ${person.title}:`, error);
+            }
+        }
+        setProperty(properties, field, pageIds);
+    }
+}
+
 /**
  * Constructs a Notion properites object from "details".
  * @param {*} details 
  * @returns 
  */
-function constructNotionProperties(details) {
+async function constructNotionProperties(details) {
     const properties = {};
 
     if (details.title) {
-        properties['Title'] = { title: [{ text: { content: details.title } }] };
+        setProperty(properties, 'title', details.title);
     }
     if (details.tagline) {
-        properties['Tagline'] = { rich_text: [{ text: { content: details.tagline } }] };
+        setProperty(properties, 'tagline', details.tagline);
     }
     if (details.genres) {
-        properties['Genre'] = { multi_select: details.genres.map(genre => ({ name: genre })) };
+        setProperty(properties, 'genres', details.genres);
     }
     if (details.releaseDate) {
-        properties['Release Date'] = { date: { start: details.releaseDate } };
+        setProperty(properties, 'releaseDate', details.releaseDate);
     }
     if (details.status) {
-        properties['Release Status'] = { status: { name: details.status } };
+        setProperty(properties, 'status', details.status);
     }
     if (details.runtime) {
-        let runtimeString = '';
-        const runtimeHours = Math.floor(details.runtime / 60);
-        if (runtimeHours) {
-            runtimeString += runtimeHours + 'h';
-        }
-        const runtimeMinutes = details.runtime % 60;
-        if (runtimeMinutes) {
-            runtimeString += ' ' + runtimeMinutes + 'm';
-        }
-        properties['Runtime'] = { rich_text: [{ text: { content: runtimeString } }] };
+        setProperty(properties, 'runtime', schema.runtime?.type === 'number' ? details.runtime : formatRuntime(details.runtime));
     }
     if (details.synopsis) {
-        properties['Synopsis'] = { rich_text: [{ text: { content: details.synopsis } }] };
+        setProperty(properties, 'synopsis', details.synopsis);
+    }
+    if (details.director && !isPersonRelation('director')) {
+        setProperty(properties, 'director', details.director);
     }
-    if (details.director) {
-        properties['Director'] = { rich_text: [{ text: { content: details.director } }] };
+    if (details.composer && !isPersonRelation('composer')) {
+        setProperty(properties, 'composer', details.composer);
     }
-    if (details.composer) {
-        properties['Composer'] = { rich_text: [{ text: { content: details.composer } }] };
+    if (details.cast && !isPersonRelation('cast')) {
+        setProperty(properties, 'cast', details.cast);
     }
-    if (details.cast) {
-        properties['Cast'] = { rich_text: [{ text: { content: details.cast.join(', ') } }] };
+    if (details.guestStars && !isPersonRelation('guestStars')) {
+        setProperty(properties, 'guestStars', details.guestStars);
+    }
+    await setPersonProperties(properties, details);
+    for (const field of ['writers', 'producers', 'cinematographer', 'editor', 'creators', 'networks', 'productionCompanies', 'originCountries']) {
+        if (details[field]) {
+            setProperty(properties, field, details[field]);
+        }
+    }
+    if (details.originalLanguage) {
+        setProperty(properties, 'originalLanguage', details.originalLanguage);
+    }
+    // TMDB uses 0 for unknown amounts
+    if (details.budget) {
+        setProperty(properties, 'budget', details.budget);
+    }
+    if (details.revenue) {
+        setProperty(properties, 'revenue', details.revenue);
+    }
+    for (const field of ['imdbId', 'imdbUrl', 'tvdbId', 'wikidataId']) {
+        if (details[field]) {
+            setProperty(properties, field, details[field]);
+        }
+    }
+    if (details.keywords) {
+        setProperty(properties, 'keywords', details.keywords);
     }
     if (details.trailer) {
-        properties['Trailer'] = { url: details.trailer };
+        setProperty(properties, 'trailer', details.trailer);
+    }
+    if (details.rating) {
+        setProperty(properties, 'rating', parseFloat(details.rating.toFixed(1)));
+    }
+    if (details.contentRating) {
+        setProperty(properties, 'contentRating', details.contentRating);
+    }
+    if (details.theatricalReleaseDate) {
+        setProperty(properties, 'theatricalReleaseDate', details.theatricalReleaseDate);
+    }
+    if (details.digitalReleaseDate) {
+        setProperty(properties, 'digitalReleaseDate', details.digitalReleaseDate);
     }
-    if (details.rating) {
-        properties['TMDB Rating'] = { number: parseFloat(details.rating.toFixed(1)) };
+    if (details.physicalReleaseDate) {
+        setProperty(properties, 'physicalReleaseDate', details.physicalReleaseDate);
     }
+    setWatchProviderProperties(properties, details);
     if (details.seasonNumber) {
-        properties['Season Number'] = { number: details.seasonNumber };
+        setProperty(properties, 'seasonNumber', details.seasonNumber);
     }
     if (details.episodeNumber) {
-        properties['Episode Number'] = { number: details.episodeNumber };
+        setProperty(properties, 'episodeNumber', details.episodeNumber);
     }
     if (details.type) {
-        properties['Type'] = { select: { name: details.type, color: 'default' } };
+        setProperty(properties, 'type', { name: details.type, color: 'default' });
     }
     if (details.tmdbId) {
-        properties['TMDB ID'] = { number: details.tmdbId };
+        setProperty(properties, 'tmdbId', details.tmdbId);
+    }
+    if (details.collectionPageId) {
+        setProperty(properties, 'collection', [details.collectionPageId]);
+    }
+    if (details.biography) {
+        setProperty(properties, 'biography', details.biography);
+    }
+    if (details.knownFor) {
+        setProperty(properties, 'knownFor', details.knownFor);
     }
-    properties['Refresh Metadata'] = { checkbox: false };
+    if (details.locale) {
+        setProperty(properties, 'locale', details.locale.region ? `${details.locale.language}, ${details.locale.region}` : details.locale.language);
+    }
+    setProperty(properties, 'refreshMetadata', false);
 
     return properties;
 }
 
 /**
- * Create a Notion page for a television episode from "details".
- * @param {number} seasonPageId 
+ * Set the watch provider properties in "properties" from "providers" (the provider lists are
+ * always set, so providers that are no longer available are removed).
+ * @param {*} properties 
+ * @param {*} providers 
+ */
+function setWatchProviderProperties(properties, providers) {
+    if (providers.streamProviders) {
+        setProperty(properties, 'streamProviders', providers.streamProviders);
+    }
+    if (providers.rentProviders) {
+        setProperty(properties, 'rentProviders', providers.rentProviders);
+    }
+    if (providers.buyProviders) {
+        setProperty(properties, 'buyProviders', providers.buyProviders);
+    }
+    if (providers.watchLink) {
+        setProperty(properties, 'watchLink', providers.watchLink);
+    }
+}
+
+/**
+ * Update the watch provider properties of the Notion page with ID "pageId" with "providers".
+ * @param {string} pageId 
+ * @param {*} providers 
+ */
+const updateWatchProviders = async (pageId, providers) => {
+    const properties = {};
+    setWatchProviderProperties(properties, providers);
+
+    await notion.pages.update({
+        page_id: pageId,
+        properties: properties
+    });
+};
+
+/**
+ * Set the personal rating of the page with ID "pageId" to "rating" (null clears it).
+ * @param {string} pageId 
+ * @param {number} rating 
+ */
+const updatePersonalRating = async (pageId, rating) => {
+    const properties = {};
+    setProperty(properties, 'personalRating', rating);
+
+    await notion.pages.update({
+        page_id: pageId,
+        properties: properties
+    });
+};
+
+/**
+ * Get a short description of the page for "details" (e.g. "S1E2: Title") for reporting failed writes.
+ * @param {*} details 
+ * @returns {string}
+ */
+function describePage(details) {
+    if (details.episodeNumber) {
+        return `S${details.seasonNumber}E${details.episodeNumber}: ${details.title}`;
+    }
+    return details.title;
+}
+
+/**
+ * Create a Notion page for a television episode from "details", related to the page with ID
+ * "parentPageId" through the "relationField" relation (the season, or the show of a miniseries).
+ * Pages that could not be created are added to "failedPages".
+ * @param {number} parentPageId 
  * @param {*} details 
+ * @param {Array<string>} failedPages 
+ * @param {string} relationField 
  */
-async function createNotionEpisodePage(seasonPageId, details) {
-    const properties = constructNotionProperties(details);
-    properties['Season'] = { relation: [{ id: seasonPageId }] };
+async function createNotionEpisodePage(parentPageId, details, failedPages = [], relationField = 'season') {
+    const properties = await constructNotionProperties(details);
+    setProperty(properties, relationField, [parentPageId]);
 
     const icon = details.poster ? { type: 'external', external: { url: details.poster } } : null;
     const cover = details.backdrop ? { type: 'external', external: { url: details.backdrop } } : null;
 
     try {
         await notion.pages.create({
-            parent: { database_id: notionDatabaseId },
+            parent: { database_id: databaseIds.episode },
             properties: properties,
             cover: cover,
             icon: icon
@@ -312,24 +1259,27 @@ async function createNotionEpisodePage(seasonPageId, details) {
         console.log('Page created:', details.title);
     } catch (error) {
         console.error('Error creating Notion page:', error);
+        failedPages.push(describePage(details));
     }
 }
 
 /**
- * Create a Notion page for a television season from "details".
+ * Create a Notion page for a television season from "details". Pages that could not be
+ * created (including episode pages) are added to "failedPages".
  * @param {number} showPageId 
  * @param {*} details 
+ * @param {Array<string>} failedPages 
  */
-async function createNotionSeasonPage(showPageId, details) {
-    const properties = constructNotionProperties(details);
-    properties['Show'] = { relation: [{ id: showPageId }] };
+async function createNotionSeasonPage(showPageId, details, failedPages = []) {
+    const properties = await constructNotionProperties(details);
+    setProperty(properties, 'show', [showPageId]);
 
     const icon = details.poster ? { type: 'external', external: { url: details.poster } } : null;
     const cover = details.backdrop ? { type: 'external', external: { url: details.backdrop } } : null;
 
     try {
         const response = await notion.pages.create({
-            parent: { database_id: notionDatabaseId },
+            parent: { database_id: databaseIds.season },
             properties: properties,
             cover: cover,
             icon: icon
@@ -338,16 +1288,106 @@ async function createNotionSeasonPage(showPageId, details) {
 
         if (details.episodes) {
             for (const episode of details.episodes) {
-                await createNotionEpisodePage(response.id, episode);
+                await createNotionEpisodePage(response.id, episode, failedPages);
             }
         }
     } catch (error) {
         console.error('Error creating Notion page:', error);
+        const episodesCount = details.episodes?.length ?? 0;
+        failedPages.push(describePage(details) + (episodesCount ? ` (and its ${episodesCount} episodes)` : ''));
+    }
+}
+
+/**
+ * Create a Notion page for a movie or collection from "details", and return its ID. Pages that
+ * could not be created are added to "failedPages".
+ * @param {*} details 
+ * @param {Array<string>} failedPages 
+ * @returns 
+ */
+async function createNotionMoviePage(details, failedPages = []) {
+    const properties = await constructNotionProperties(details);
+    const icon = details.poster ? { type: 'external', external: { url: details.poster } } : null;
+    const cover = details.backdrop ? { type: 'external', external: { url: details.backdrop } } : null;
+
+    try {
+        const response = await notion.pages.create({
+            parent: { database_id: databaseIds.movie },
+            properties: properties,
+            cover: cover,
+            icon: icon
+        });
+        console.log('Page created:', details.title);
+        return response.id;
+    } catch (error) {
+        console.error('Error creating Notion page:', error);
+        failedPages.push(describePage(details));
+        return null;
+    }
+}
+
+/**
+ * Create pages for the movies "moviesDetails" of the collection page with ID "collectionPageId".
+ * Movies that already exist in the database are only related to the collection page. Pages that
+ * could not be created or updated are added to "failedPages".
+ * @param {string} collectionPageId 
+ * @param {Array<*>} moviesDetails 
+ * @param {Array<string>} failedPages 
+ */
+async function createCollectionMoviePages(collectionPageId, moviesDetails, failedPages = []) {
+    for (const movieDetails of moviesDetails) {
+        try {
+            const existingPages = await findPagesByTMDBId(movieDetails.tmdbId, 'Movie');
+            if (!existingPages.length) {
+                await createNotionMoviePage({ ...movieDetails, collectionPageId: collectionPageId }, failedPages);
+                continue;
+            }
+
+            if (schema.collection) {
+                await notion.pages.update({
+                    page_id: existingPages[0].id,
+                    properties: { [schema.collection.name]: toPropertyValue('collection', [collectionPageId]) }
+                });
+            }
+        } catch (error) {
+            console.error('Error adding a movie to its collection:', error);
+            failedPages.push(describePage(movieDetails));
+        }
+    }
+}
+
+/**
+ * Get the ID of the page of the collection "collectionDetails", creating it if it doesn't exist
+ * yet. Returns null (and adds the collection to "failedPages") if it could not be created.
+ * @param {*} collectionDetails 
+ * @param {Array<string>} failedPages 
+ * @returns 
+ */
+async function getCollectionPageId(collectionDetails, failedPages = []) {
+    try {
+        const existingPages = await findPagesByTMDBId(collectionDetails.tmdbId, 'Collection');
+        if (existingPages.length) {
+            return existingPages[0].id;
+        }
+    } catch (error) {
+        console.error('Error fetching the collection page:', error);
+        failedPages.push(describePage(collectionDetails));
+        return null;
     }
+
+    return await createNotionMoviePage(collectionDetails, failedPages);
 }
 
-async function updateNotionPage(pageId, details) {
-    const properties = constructNotionProperties(details);
+/**
+ * Update the Notion page with ID "pageId" with the content from "details". Pages that could not
+ * be updated are added to "failedPages". Returns whether the page was updated.
+ * @param {number} pageId 
+ * @param {*} details 
+ * @param {Array<string>} failedPages 
+ * @returns {Promise<boolean>}
+ */
+async function updateNotionPage(pageId, details, failedPages = []) {
+    const properties = await constructNotionProperties(details);
     const icon = details.poster ? { type: 'external', external: { url: details.poster } } : null;
     const cover = details.backdrop ? { type: 'external', external: { url: details.backdrop } } : null;
 
@@ -359,8 +1399,11 @@ async function updateNotionPage(pageId, details) {
             icon: icon
         });
         console.log('Page updated:', details.title);
+        return true;
     } catch (error) {
         console.error('Error updating Notion page:', error);
+        failedPages.push(describePage(details));
+        return false;
     }
 }
 
@@ -375,14 +1418,15 @@ async function addErrorBlock(pageId, pageTitle, message) {
     const errorMessage = message + '\n\n';
     const helpLink = 'https://github.com/nathan-dykstra/tmdb-notion-integration?tab=readme-ov-file#tmdb-notion-integration';
 
+    const properties = {};
+    setProperty(properties, 'title', newTitle);
+    setProperty(properties, 'refreshMetadata', false);
+
     try {
         // Update the page title to remove the delimiter (ensure it isn't queried again)
         await notion.pages.update({
             page_id: pageId,
-            properties: { 
-                'Title': { title: [{ text: { content: newTitle } }] },
-                'Refresh Metadata': { checkbox: false }
-            },
+            properties: properties,
         });
 
         // Add a "callout" block with the error message to the page
@@ -397,8 +1441,8 @@ async function addErrorBlock(pageId, pageTitle, message) {
                             { type: 'text', text: { content: errorMessage } }, 
                             { type: 'text', text: { content: 'View query format guide', link: { url: helpLink } } }
                         ],
-                        icon: { type: 'emoji', emoji: '❗' },
-                        color: 'red_background'
+                        icon: { type: 'emoji', emoji: messageCallouts.error.emoji },
+                        color: messageCallouts.error.color
                     }
                 }
             ]
@@ -411,7 +1455,320 @@ async function addErrorBlock(pageId, pageTitle, message) {
 }
 
 /**
- * Deletes all error blocks from the Notion page with ID "pageId".
+ * Adds a "Did you mean..." block listing the search result "candidates" to the Notion page with ID "pageId".
+ * Each candidate is a to-do, so the user can pick one by checking it.
+ * @param {number} pageId 
+ * @param {string} pageTitle 
+ * @param {Array<*>} candidates 
+ */
+async function addPickBlock(pageId, pageTitle, candidates) {
+    const query = pageTitle.endsWith(notionTitleDelimiter) ? pageTitle.slice(0, -1) : pageTitle;
+    const newTitle = query + notionPickDelimiter;
+    const pickExample = (query.includes('[') ? query.replace(/\]\s*$/, ', pick=') : query.trim() + '[pick=') + candidates[0].index + ']' + notionTitleDelimiter;
+    const pickMessage = 'Did you mean one of these? Check the one you want to import, or add "pick=N" to your query (e.g. "' + pickExample + '").';
+
+    try {
+        // Update the page title to replace the delimiter (ensure it isn't queried again until a result is picked)
+        await notion.pages.update({
+            page_id: pageId,
+            properties: { [schema.title.name]: toPropertyValue('title', newTitle) }
+        });
+
+        const calloutBlock = await notion.blocks.children.append({
+            block_id: pageId,
+            children: [
+                {
+                    object: 'block',
+                    type: 'callout',
+                    callout: {
+                        rich_text: [{ type: 'text', text: { content: pickMessage } }],
+                        icon: { type: 'emoji', emoji: messageCallouts.pick.emoji },
+                        color: messageCallouts.pick.color
+                    }
+                }
+            ]
+        });
+
+        await notion.blocks.children.append({
+            block_id: calloutBlock.results[0].id,
+            children: candidates.map(candidate => ({
+                object: 'block',
+                type: 'to_do',
+                to_do: {
+                    rich_text: [
+                        { type: 'text', text: { content: candidate.index + '. ' } },
+                        { type: 'text', text: { content: candidate.title, link: { url: candidate.url } } },
+                        { type: 'text', text: { content: (candidate.year ? ' (' + candidate.year + ')' : '') + ' · ' + (candidate.mediaType === 'movie' ? 'Movie' : 'TV Show') } }
+                    ],
+                    checked: false,
+                    children: candidate.poster ? [{ object: 'block', type: 'image', image: { type: 'external', external: { url: candidate.poster } } }] : []
+                }
+            }))
+        });
+
+        console.log('Search result candidates added to page');
+    } catch (error) {
+        console.error('Error updating Notion page with search result candidates:', error);
+    }
+}
+
+/**
+ * Adds a warning block listing the pages that could not be written ("failedPages") to the
+ * Notion page with ID "pageId".
+ * @param {number} pageId 
+ * @param {Array<string>} failedPages 
+ */
+async function addFailedPagesBlock(pageId, failedPages) {
+    let warningMessage = `${failedPages.length} page${failedPages.length === 1 ? '' : 's'} could not be written to Notion. Check "Refresh Metadata" to try again.\n`;
+
+    // Notion rich text is limited to 2000 characters, so the pages that don't fit are only counted
+    for (const [index, failedPage] of failedPages.entries()) {
+        const remaining = failedPages.length - index - 1;
+        const moreMessage = remaining ? `\n…and ${remaining} more` : '';
+        if (warningMessage.length + failedPage.length + 1 + moreMessage.length > 2000) {
+            warningMessage += `\n…and ${failedPages.length - index} more`;
+            break;
+        }
+        warningMessage += `\n${failedPage}`;
+    }
+
+    try {
+        await notion.blocks.children.append({
+            block_id: pageId,
+            children: [
+                {
+                    object: 'block',
+                    type: 'callout',
+                    callout: {
+                        rich_text: [{ type: 'text', text: { content: warningMessage } }],
+                        icon: { type: 'emoji', emoji: messageCallouts.failedPages.emoji },
+                        color: messageCallouts.failedPages.color
+                    }
+                }
+            ]
+        });
+
+        console.log('Failed pages message added to page');
+    } catch (error) {
+        console.error('Error updating Notion page with failed pages message:', error);
+    }
+}
+
+/**
+ * Adds a "You might also like" block listing the titles "recommendations" to the Notion page with
+ * ID "pageId", replacing the one added by the previous import or refresh. Each title is a to-do,
+ * so the user can import it by checking it.
+ * @param {number} pageId 
+ * @param {Array<*>} recommendations 
+ */
+async function addRecommendationsBlock(pageId, recommendations) {
+    try {
+        const response = await notion.blocks.children.list({
+            block_id: pageId
+        });
+
+        for (const recommendationsBlock of response.results.filter(isRecommendationsBlock)) {
+            await notion.blocks.delete({
+                block_id: recommendationsBlock.id
+            });
+        }
+
+        const calloutBlock = await notion.blocks.children.append({
+            block_id: pageId,
+            children: [
+                {
+                    object: 'block',
+                    type: 'callout',
+                    callout: {
+                        rich_text: [{ type: 'text', text: { content: 'You might also like (check a title to add it to the database):' } }],
+                        icon: { type: 'emoji', emoji: recommendationsEmoji },
+                        color: 'blue_background'
+                    }
+                }
+            ]
+        });
+
+        await notion.blocks.children.append({
+            block_id: calloutBlock.results[0].id,
+            children: recommendations.map(recommendation => ({
+                object: 'block',
+                type: 'to_do',
+                to_do: {
+                    rich_text: [
+                        { type: 'text', text: { content: recommendation.title, link: { url: recommendation.url } } },
+                        { type: 'text', text: { content: (recommendation.year ? ' (' + recommendation.year + ')' : '') + ' · ' + (recommendation.mediaType === 'movie' ? 'Movie' : 'TV Show') } }
+                    ],
+                    checked: false
+                }
+            }))
+        });
+
+        console.log('Recommendations added to page');
+    } catch (error) {
+        console.error('Error updating Notion page with recommendations:', error);
+    }
+}
+
+/**
+ * Check if "block" is the callout containing the page body written by the integration.
+ * @param {*} block 
+ * @returns {boolean}
+ */
+function isPageBodyBlock(block) {
+    return block.type === 'callout' && block.callout.color === 'gray_background' && block.callout.icon?.emoji === pageBodyEmoji;
+}
+
+/**
+ * Construct a block of type "type" (e.g. a paragraph or quote) with the text "content".
+ * @param {string} type 
+ * @param {string} content 
+ * @returns 
+ */
+function constructTextBlock(type, content) {
+    return { object: 'block', type: type, [type]: { rich_text: [{ type: 'text', text: { content: content } }] } };
+}
+
+/**
+ * Construct an image block showing the image at "url".
+ * @param {string} url 
+ * @returns 
+ */
+function constructImageBlock(url) {
+    return { object: 'block', type: 'image', image: { type: 'external', external: { url: url } } };
+}
+
+/**
+ * Construct a column layout with a column for each list of blocks in "columns" (a single column
+ * is written without a layout, since a layout needs at least two columns).
+ * @param {Array<Array<*>>} columns 
+ * @returns {Array<*>}
+ */
+function constructColumnBlocks(columns) {
+    if (columns.length < 2) {
+        return columns.flat();
+    }
+
+    return [{
+        object: 'block',
+        type: 'column_list',
+        column_list: {
+            children: columns.map(children => ({ object: 'block', type: 'column', column: { children: children } }))
+        }
+    }];
+}
+
+/**
+ * Construct the blocks of the page body sections set in PAGE_BODY_SECTIONS from "details"
+ * (sections without data are skipped).
+ * @param {*} details 
+ * @returns {Array<*>}
+ */
+function constructPageBodyBlocks(details) {
+    const blocks = [];
+
+    for (const section of pageBodySections) {
+        if (section === 'trailer' && details.trailer) {
+            blocks.push({ object: 'block', type: 'video', video: { type: 'external', external: { url: details.trailer } } });
+        } else if (section === 'tagline' && details.tagline) {
+            blocks.push(constructTextBlock('quote', details.tagline));
+        } else if (section === 'synopsis' && details.synopsis) {
+            // Notion rich text is limited to 2000 characters
+            for (const paragraph of details.synopsis.split(/\n+/).filter(Boolean)) {
+                blocks.push(constructTextBlock('paragraph', paragraph.slice(0, 2000)));
+            }
+        } else if (section === 'cast' && details.people?.cast.length) {
+            const columns = details.people.cast.slice(0, maxPageBodyCast).map(person => [
+                ...(person.poster ? [constructImageBlock(person.poster)] : []),
+                constructTextBlock('paragraph', person.title + (person.character ? `\n${person.character}` : ''))
+            ]);
+            blocks.push(...constructColumnBlocks(columns));
+        } else if (section === 'images' && details.backdrops?.length) {
+            const columns = Array.from({ length: Math.min(pageBodyImageColumns, details.backdrops.length) }, (_, column) => (
+                details.backdrops.filter((_, index) => index % pageBodyImageColumns === column).map(constructImageBlock)
+            ));
+            blocks.push(...constructColumnBlocks(columns));
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Fetch every child block of the block (or page) with ID "blockId".
+ * @param {string} blockId 
+ * @returns 
+ */
+async function listChildBlocks(blockId) {
+    const query = {
+        block_id: blockId
+    };
+
+    const response = await notion.blocks.children.list(query);
+    const results = [...response.results];
+    let nextCursor = response.next_cursor;
+
+    // Get all blocks if results are paginated
+    while (nextCursor) {
+        query.start_cursor = nextCursor;
+        const nextResponse = await notion.blocks.children.list(query);
+        results.push(...nextResponse.results);
+        nextCursor = nextResponse.next_cursor;
+    }
+
+    return results;
+}
+
+/**
+ * Write the page body sections set in PAGE_BODY_SECTIONS for "details" to the Notion page with ID
+ * "pageId". The sections are kept in a callout, which replaces the one written by the previous
+ * import or refresh in place, so the rest of the page body (e.g. the user's notes) is untouched.
+ * @param {number} pageId 
+ * @param {*} details 
+ */
+async function updatePageBody(pageId, details) {
+    const blocks = constructPageBodyBlocks(details);
+
+    try {
+        const previousBodyBlocks = (await listChildBlocks(pageId)).filter(isPageBodyBlock);
+
+        if (blocks.length) {
+            // Columns are nested too deeply to be appended along with the callout
+            const calloutBlock = await notion.blocks.children.append({
+                block_id: pageId,
+                after: previousBodyBlocks[0]?.id,
+                children: [
+                    {
+                        object: 'block',
+                        type: 'callout',
+                        callout: {
+                            rich_text: [{ type: 'text', text: { content: details.title } }],
+                            icon: { type: 'emoji', emoji: pageBodyEmoji },
+                            color: 'gray_background'
+                        }
+                    }
+                ]
+            });
+
+            await notion.blocks.children.append({
+                block_id: calloutBlock.results[0].id,
+                children: blocks
+            });
+        }
+
+        for (const previousBodyBlock of previousBodyBlocks) {
+            await notion.blocks.delete({
+                block_id: previousBodyBlock.id
+            });
+        }
+
+        console.log('Page body updated');
+    } catch (error) {
+        console.error('Error updating the page body:', error);
+    }
+}
+
+/**
+ * Deletes all error, warning, and "Did you mean..." blocks from the Notion page with ID "pageId".
  * @param {number} pageId 
  */
 async function deleteMessageBlocks(pageId) {
@@ -420,13 +1777,13 @@ async function deleteMessageBlocks(pageId) {
             block_id: pageId
         });
 
-        // Delete the "callout" block with the error message (if it exists)
-        const errorCalloutBlock = response.results.find(block => block.type === 'callout' && block.callout.color === 'red_background');
-        if (errorCalloutBlock) {
+        // Delete the "callout" blocks with the error message, failed pages, or search result candidates (if they exist)
+        const messageCalloutBlocks = response.results.filter(block => Object.keys(messageCallouts).some(message => isMessageBlock(block, message)));
+        for (const messageCalloutBlock of messageCalloutBlocks) {
             await notion.blocks.delete({
-                block_id: errorCalloutBlock.id
+                block_id: messageCalloutBlock.id
             });
-            console.log('Error message removed from page');
+            console.log('Message removed from page');
         }
     } catch (error) {
         console.error('Error removing blocks from page:', error);
@@ -434,28 +1791,40 @@ async function deleteMessageBlocks(pageId) {
 }
 
 /**
- * Checks if a page already exists in the Notion database with the same TMDB ID as the page with ID "pageId".
+ * Find the pages with the TMDB ID "tmdbId" and the type "type" (TMDB IDs are only unique within
+ * a type, e.g. a movie and a collection can share an ID) in the databases "queriedDatabaseIds".
+ * @param {number} tmdbId 
+ * @param {string} type 
+ * @param {Array<string>} queriedDatabaseIds 
+ * @returns 
+ */
+async function findPagesByTMDBId(tmdbId, type, queriedDatabaseIds = allDatabaseIds) {
+    return await queryPages({
+        and: [
+            propertyFilter('tmdbId', { equals: tmdbId }),
+            propertyFilter('type', { equals: type })
+        ]
+    }, queriedDatabaseIds);
+}
+
+/**
+ * Checks if a page already exists in the Notion database with the same TMDB ID and type as the page with ID "pageId".
  * @param {number} pageId 
  * @param {string} pageTitle 
  * @param {number} tmdbId 
+ * @param {string} type 
  * @returns 
  */
-async function checkIfExists(pageId, pageTitle, tmdbId) {
+async function checkIfExists(pageId, pageTitle, tmdbId, type) {
     try {
         // Check if the page already exists using the TMDB ID
-        const response = await notion.databases.query({
-            database_id: notionDatabaseId,
-            filter: {
-                property: 'TMDB ID',
-                number: { equals: tmdbId }
-            }
-        });
+        const results = await findPagesByTMDBId(tmdbId, type);
 
         // Add info message if page already exists, then delete the page after 30 seconds
-        if (response.results.length) {
+        if (results.length) {
             const newTitle = pageTitle.endsWith(notionTitleDelimiter) ? pageTitle.slice(0, -1) : pageTitle;
-            const existingPageId = response.results[0].id;
-            const alreadyExistsMessage = 'The requested movie or TV show already exists in your database! You can find a link to the page below. This page will be automatically deleted in 30 seconds.\n';
+            const existingPageId = results[0].id;
+            const alreadyExistsMessage = 'The requested movie, TV show, or collection already exists in your database! You can find a link to the page below. This page will be automatically deleted in 30 seconds.\n';
 
             // The current page does not count for checking if the content already exists
             if (existingPageId === pageId) {
@@ -465,7 +1834,7 @@ async function checkIfExists(pageId, pageTitle, tmdbId) {
             // Update the page title to remove the delimiter (ensure it isn't queried again)
             await notion.pages.update({
                 page_id: pageId,
-                properties: { 'Title': { title: [{ text: { content: newTitle } }] } }
+                properties: { [schema.title.name]: toPropertyValue('title', newTitle) }
             });
 
             const calloutBlock = await notion.blocks.children.append({
@@ -519,7 +1888,7 @@ async function checkIfExists(pageId, pageTitle, tmdbId) {
  */
 const updateDatabase = async (page, details, updateExistingForTv = false) => {
     const pageId = page.id;
-    const pageTitle = page.properties.Title.title[0]?.text.content || '';
+    const pageTitle = getPageTitle(page);
 
     // Remove default message & error message blocks
     await deleteMessageBlocks(pageId);
@@ -530,83 +1899,149 @@ const updateDatabase = async (page, details, updateExistingForTv = false) => {
         return;
     }
 
+    // Let the user pick a search result if the query was ambiguous
+    if (details.candidates) {
+        await addPickBlock(pageId, pageTitle, details.candidates);
+        return;
+    }
+
     // Check if the page already exists using the TMDB ID
-    const alreadyExists = await checkIfExists(pageId, pageTitle, details.tmdbId);
+    const alreadyExists = await checkIfExists(pageId, pageTitle, details.tmdbId, details.type);
     if (alreadyExists) {
         return;
     }
 
+    // Related pages that could not be created or updated
+    const failedPages = [];
+
     // Create or update television season & episode pages if necessary
     if (details.type === 'Miniseries' && details.seasons && details.seasons.length === 1 && details.seasons[0].episodes) {
         // For miniseries or limited series with one season, create episode pages attached directly to the show (no season pages)
+        const currentEpisodePages = updateExistingForTv ? await getEpisodePages(pageId, miniseriesEpisodeRelation) ?? [] : [];
         for (const episodeDetails of details.seasons[0].episodes) {
             if (updateExistingForTv) { // Update existing episode pages rather than create new ones
-                const currentEpisodePages = await getEpisodePages(pageId);
-                const existingEpisodePage = currentEpisodePages.find(episodePage => episodePage.properties['TMDB ID'].number === episodeDetails.tmdbId);
+                const existingEpisodePage = currentEpisodePages.find(episodePage => getPropertyValue(episodePage, 'tmdbId') === episodeDetails.tmdbId);
                 if (existingEpisodePage) {
-                    await updateNotionPage(existingEpisodePage.id, episodeDetails);
+                    await updateNotionPage(existingEpisodePage.id, episodeDetails, failedPages);
                     continue;
                 }
-                await createNotionEpisodePage(pageId, episodeDetails);
+                await createNotionEpisodePage(pageId, episodeDetails, failedPages, miniseriesEpisodeRelation);
             } else {
-                await createNotionEpisodePage(pageId, episodeDetails);
+                await createNotionEpisodePage(pageId, episodeDetails, failedPages, miniseriesEpisodeRelation);
             }
         }
     } else if (details.seasons) {
         // Create TV show season pages (this will also create episode pages for each season if necessary)
+        const currentSeasonPages = updateExistingForTv ? await getSeasonPages(pageId) ?? [] : [];
         for (const seasonDetails of details.seasons) {
             if (updateExistingForTv) { // Update existing season & episode pages rather than creating new ones
-                const currentSeasonPages = await getSeasonPages(pageId);
-                const existingSeasonPage = currentSeasonPages.find(seasonPage => seasonPage.properties['TMDB ID'].number === seasonDetails.tmdbId);
+                const existingSeasonPage = currentSeasonPages.find(seasonPage => getPropertyValue(seasonPage, 'tmdbId') === seasonDetails.tmdbId);
                 if (existingSeasonPage) {
-                    await updateNotionPage(existingSeasonPage.id, seasonDetails);
+                    await updateNotionPage(existingSeasonPage.id, seasonDetails, failedPages);
 
                     if (seasonDetails.episodes) {
+                        const currentEpisodePages = await getEpisodePages(existingSeasonPage.id) ?? [];
                         for (const episodeDetails of seasonDetails.episodes) {
-                            const currentEpisodePages = await getEpisodePages(existingSeasonPage.id);
-                            const existingEpisodePage = currentEpisodePages.find(episodePage => episodePage.properties['TMDB ID'].number === episodeDetails.tmdbId);
+                            const existingEpisodePage = currentEpisodePages.find(episodePage => getPropertyValue(episodePage, 'tmdbId') === episodeDetails.tmdbId);
                             if (existingEpisodePage) {
-                                await updateNotionPage(existingEpisodePage.id, episodeDetails);
+                                await updateNotionPage(existingEpisodePage.id, episodeDetails, failedPages);
                                 continue;
                             }
-                            await createNotionEpisodePage(existingSeasonPage.id, episodeDetails);
+                            await createNotionEpisodePage(existingSeasonPage.id, episodeDetails, failedPages);
                         }
                     }
 
                     continue;
                 }
-                await createNotionSeasonPage(pageId, seasonDetails);
+                await createNotionSeasonPage(pageId, seasonDetails, failedPages);
             } else {
-                await createNotionSeasonPage(pageId, seasonDetails);
+                await createNotionSeasonPage(pageId, seasonDetails, failedPages);
             }
         }
     } else if (details.episodes) {
         // Create TV show episode pages
+        const currentEpisodePages = updateExistingForTv ? await getEpisodePages(pageId) ?? [] : [];
         for (const episodeDetails of details.episodes) {
             if (updateExistingForTv) { // Update existing episode pages rather than create new ones
-                const currentEpisodePages = await getEpisodePages(pageId);
-                const existingEpisodePage = currentEpisodePages.find(episodePage => episodePage.properties['TMDB ID'].number === episodeDetails.tmdbId);
+                const existingEpisodePage = currentEpisodePages.find(episodePage => getPropertyValue(episodePage, 'tmdbId') === episodeDetails.tmdbId);
                 if (existingEpisodePage) {
-                    await updateNotionPage(existingEpisodePage.id, episodeDetails);
+                    await updateNotionPage(existingEpisodePage.id, episodeDetails, failedPages);
                     continue;
                 }
-                await createNotionEpisodePage(pageId, episodeDetails);
+                await createNotionEpisodePage(pageId, episodeDetails, failedPages);
             } else {
-                await createNotionEpisodePage(pageId, episodeDetails);
+                await createNotionEpisodePage(pageId, episodeDetails, failedPages);
             }
         }
+    } else if (details.movies) {
+        // Create the pages of a collection's movies (movies that already exist are related to the collection page)
+        await createCollectionMoviePages(pageId, details.movies, failedPages);
+    } else if (details.collection) {
+        // Create the pages of the other movies in the movie's collection, and its collection page if necessary
+        const collectionPageId = await getCollectionPageId(details.collection, failedPages);
+        if (collectionPageId) {
+            const otherMovies = details.collection.movies.filter(movieDetails => movieDetails.tmdbId !== details.tmdbId);
+            await createCollectionMoviePages(collectionPageId, otherMovies, failedPages);
+            details = { ...details, collectionPageId: collectionPageId };
+        }
+    }
+
+    // Update the Notion page with the new content (a failed write is reported on the page and to the caller)
+    if (!await updateNotionPage(pageId, details, failedPages)) {
+        await addFailedPagesBlock(pageId, failedPages);
+        throw new NotionWriteError(`The page "${describePage(details)}" could not be written to Notion.`);
+    }
+
+    if (pageBodySections.length) {
+        await updatePageBody(pageId, details);
+    }
+
+    if (recommendationsEnabled && details.recommendations?.length) {
+        await addRecommendationsBlock(pageId, details.recommendations);
     }
 
-    // Update the Notion page with the new content
-    await updateNotionPage(pageId, details);
+    // Report the related pages that could not be written back to the page
+    if (failedPages.length) {
+        await addFailedPagesBlock(pageId, failedPages);
+    }
 };
 
 module.exports = { 
+    NotionWriteError,
+    recommendationsEnabled,
+    watchProgressEnabled,
+    fetchAllPages,
     fetchUpdatedPages,
     fetchUnreleasedPages,
+    fetchUpcomingReleasePages,
     fetchNeedsRefreshPages,
+    fetchPendingPickPages,
+    fetchWatchProviderPages,
+    fetchWatchProgressPages,
+    fetchRecentlyEditedEpisodePages,
+    fetchRecentlyEditedPages,
+    fetchPage,
+    fetchBotUserId,
     fetchProperty,
+    fetchRollupValues,
+    fetchRollupNumber,
+    getPropertyValue,
+    getPageTitle,
+    getPageLocale,
+    isDatabasePage,
+    isUpdatedPage,
+    isPendingPickPage,
+    isRefreshRequestedPage,
+    getPickedCandidate,
+    importPickedRecommendations,
+    findPagesByTMDBId,
+    createRequestPage,
     getTMDBShowIdFromSeason,
+    getShowPageFromEpisode,
     getTMDBShowIdFromEpisode,
+    updateWatchProviders,
+    updatePersonalRating,
+    updateWatchProgress,
+    constructWatchProgress,
     updateDatabase
 };
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const tmdbClient = require('./tmdbClient');
+const notionService = require('./notionService');
+const { importRows } = require('./importService');
+const { schema } = require('../config/notionSchema');
+require('dotenv').config();
+
+// TMDB account the watchlist and ratings are synced with (the sync is disabled without both)
+const accountId = process.env.TMDB_ACCOUNT_ID;
+const sessionId = process.env.TMDB_SESSION_ID;
+const accountSyncEnabled = Boolean(accountId && sessionId);
+
+// Side whose rating is kept when a title was rated differently in Notion and on TMDB since the last sync
+const conflictWinner = (process.env.TMDB_SYNC_CONFLICT_WINNER || 'notion').toLowerCase() === 'tmdb' ? 'tmdb' : 'notion';
+
+// File the state of the last sync is saved to, so only changes since then are synced
+const stateFile = process.env.TMDB_SYNC_STATE_FILE || '.cache/tmdb-account-sync.json';
+
+// Account list path of each media type, and the Notion "type" options of its pages
+const mediaTypes = {
+    movie: { listPath: 'movies', types: ['Movie'] },
+    tv: { listPath: 'tv', types: ['Television', 'Miniseries'] }
+};
+
+/**
+ * Load the state of the last sync: when it started, the watchlist titles already handled, and the
+ * rating of each title both sides agreed on.
+ * @returns {*}
+ */
+function loadState() {
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading the TMDB account sync state, syncing everything again:', error);
+        }
+        return { lastSyncedAt: null, watchlist: [], ratings: {} };
+    }
+}
+
+/**
+ * Save the state of the sync "state".
+ * @param {*} state
+ */
+function saveState(state) {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Get the key identifying the title with the TMDB ID "tmdbId" of the media type "mediaType" (e.g. "movie:603").
+ * @param {string} mediaType
+ * @param {number} tmdbId
+ * @returns {string}
+ */
+function getTitleKey(mediaType, tmdbId) {
+    return `${mediaType}:${tmdbId}`;
+}
+
+/**
+ * Get the media type (movie or tv) and TMDB ID of the title with the key "key".
+ * @param {string} key
+ * @returns {{ mediaType: string, tmdbId: number }}
+ */
+function parseTitleKey(key) {
+    const [mediaType, tmdbId] = key.split(':');
+    return { mediaType: mediaType, tmdbId: Number(tmdbId) };
+}
+
+/**
+ * Fetch every title of the media type "mediaType" in the account list "list" (watchlist or rated),
+ * oldest first. The list is always fetched fresh from TMDB.
+ * @param {string} list
+ * @param {string} mediaType
+ * @returns {Promise<Array<*>>}
+ */
+const fetchAccountList = (list, mediaType) => tmdbClient.bypassCache(async () => {
+    const results = [];
+
+    for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+        const data = await tmdbClient.get(`/account/${accountId}/${list}/${mediaTypes[mediaType].listPath}`, {
+            session_id: sessionId,
+            sort_by: 'created_at.asc',
+            page: page
+        });
+        results.push(...data.results);
+        totalPages = data.total_pages ?? 1;
+    }
+
+    return results;
+});
+
+/**
+ * Create a Notion page for each title added to the TMDB watchlist since the last sync, through the
+ * same flow as an imported file. Titles that are already in the database are skipped, and titles
+ * that failed are tried again on the next sync.
+ * @param {*} state
+ * @param {*} summary
+ */
+async function syncWatchlist(state, summary) {
+    const handledTitles = new Set(state.watchlist);
+
+    for (const mediaType of Object.keys(mediaTypes)) {
+        const items = await fetchAccountList('watchlist', mediaType);
+
+        for (const item of items) {
+            const key = getTitleKey(mediaType, item.id);
+            if (handledTitles.has(key)) {
+                continue;
+            }
+
+            const row = { label: item.title ?? item.name ?? key, query: `tmdb:${mediaType}/${item.id};` };
+            const result = await importRows([row]);
+
+            if (result.failed.length || result.unmatched.length) {
+                const { reason } = result.failed[0] ?? result.unmatched[0];
+                summary.failed.push({ label: row.label, reason: reason });
+                continue;
+            }
+
+            if (result.imported.length) {
+                summary.created.push(row.label);
+            }
+            handledTitles.add(key);
+        }
+    }
+
+    state.watchlist = [...handledTitles];
+}
+
+/**
+ * Get the personal rating of each movie and TV show page edited since the last sync, keyed by title.
+ * @param {*} state
+ * @returns {Promise<Map<string, *>>}
+ */
+async function fetchEditedNotionRatings(state) {
+    const pages = await notionService.fetchRecentlyEditedPages(new Date(state.lastSyncedAt ?? 0));
+    if (!pages) {
+        throw new Error('The edited Notion pages could not be fetched.');
+    }
+
+    const ratings = new Map();
+    for (const page of pages) {
+        const type = notionService.getPropertyValue(page, 'type');
+        const mediaType = Object.keys(mediaTypes).find(mediaType => mediaTypes[mediaType].types.includes(type));
+        const key = getTitleKey(mediaType, notionService.getPropertyValue(page, 'tmdbId'));
+
+        const rating = ratings.get(key) ?? { rating: null, pageIds: [] };
+        rating.rating ??= notionService.getPropertyValue(page, 'personalRating');
+        rating.pageIds.push(page.id);
+        ratings.set(key, rating);
+    }
+    return ratings;
+}
+
+/**
+ * Round "rating" to a rating TMDB accepts (0.5 to 10, in steps of 0.5).
+ * @param {number} rating
+ * @returns {number}
+ */
+function toTMDBRating(rating) {
+    return Math.min(10, Math.max(0.5, Math.round(rating * 2) / 2));
+}
+
+/**
+ * Decide how to sync a rating, given the rating both sides agreed on at the last sync and the
+ * current TMDB and Notion ratings (null when unrated). The Notion rating is compared once rounded
+ * the way it is pushed, so a rating TMDB can't hold exactly isn't seen as changed on every sync.
+ * Returns null when neither side changed, otherwise the action ("push" to TMDB, "pull" to Notion,
+ * or null when both sides already agree), the rating to keep, and whether both sides changed to
+ * different ratings (the side "winner" is then kept).
+ * @param {number} syncedRating
+ * @param {number} tmdbRating
+ * @param {number} notionRating
+ * @param {string} winner
+ * @returns {*}
+ */
+function resolveRating(syncedRating, tmdbRating, notionRating, winner = conflictWinner) {
+    const roundedNotionRating = notionRating === null ? null : toTMDBRating(notionRating);
+    const tmdbChanged = tmdbRating !== syncedRating;
+    const notionChanged = roundedNotionRating !== syncedRating;
+    if (!tmdbChanged && !notionChanged) {
+        return null;
+    }
+
+    const conflict = tmdbChanged && notionChanged && tmdbRating !== roundedNotionRating;
+    const keepNotion = conflict ? winner === 'notion' : !tmdbChanged;
+    if (keepNotion) {
+        return { action: 'push', rating: roundedNotionRating, conflict: conflict };
+    }
+    return { action: roundedNotionRating === tmdbRating ? null : 'pull', rating: tmdbRating, conflict: conflict };
+}
+
+/**
+ * Set the TMDB rating of the title with the key "key" to "rating" (null removes the rating).
+ * @param {string} key
+ * @param {number} rating
+ */
+async function pushRating(key, rating) {
+    const { mediaType, tmdbId } = parseTitleKey(key);
+    const ratingPath = `/${mediaType}/${tmdbId}/rating`;
+
+    if (rating === null) {
+        await tmdbClient.send('DELETE', ratingPath, undefined, { session_id: sessionId });
+    } else {
+        await tmdbClient.send('POST', ratingPath, { value: rating }, { session_id: sessionId });
+    }
+}
+
+/**
+ * Set the personal rating of the Notion pages of the title with the key "key" to "rating" (the
+ * pages with IDs "pageIds", or every page of the title if they aren't known).
+ * @param {string} key
+ * @param {number} rating
+ * @param {Array<string>} pageIds
+ */
+async function pullRating(key, rating, pageIds = null) {
+    if (!pageIds) {
+        const { mediaType, tmdbId } = parseTitleKey(key);
+        pageIds = [];
+        for (const type of mediaTypes[mediaType].types) {
+            const pages = await notionService.findPagesByTMDBId(tmdbId, type);
+            pageIds.push(...pages.map(page => page.id));
+        }
+    }
+
+    for (const pageId of pageIds) {
+        await notionService.updatePersonalRating(pageId, rating);
+    }
+}
+
+/**
+ * Sync the personal ratings changed since the last sync in both directions. A rating changed only
+ * in Notion is pushed to TMDB, and a rating changed only on TMDB is written to the Notion pages of
+ * the title. When both sides changed to different ratings, the side set by
+ * TMDB_SYNC_CONFLICT_WINNER (Notion by default) is kept.
+ * @param {*} state
+ * @param {*} summary
+ */
+async function syncRatings(state, summary) {
+    const tmdbRatings = new Map();
+    for (const mediaType of Object.keys(mediaTypes)) {
+        const items = await fetchAccountList('rated', mediaType);
+        for (const item of items) {
+            tmdbRatings.set(getTitleKey(mediaType, item.id), item.rating);
+        }
+    }
+    const notionRatings = await fetchEditedNotionRatings(state);
+
+    const keys = new Set([...tmdbRatings.keys(), ...notionRatings.keys(), ...Object.keys(state.ratings)]);
+    for (const key of keys) {
+        const syncedRating = state.ratings[key] ?? null;
+        const tmdbRating = tmdbRatings.get(key) ?? null;
+        const notionRating = notionRatings.has(key) ? notionRatings.get(key).rating : syncedRating;
+
+        const resolution = resolveRating(syncedRating, tmdbRating, notionRating);
+        if (!resolution) {
+            continue;
+        }
+        if (resolution.conflict) {
+            summary.conflicts.push({ key: key, notionRating: notionRating, tmdbRating: tmdbRating, kept: conflictWinner });
+        }
+
+        try {
+            if (resolution.action === 'push') {
+                await pushRating(key, resolution.rating);
+                summary.pushed.push(key);
+            } else if (resolution.action === 'pull') {
+                await pullRating(key, resolution.rating, notionRatings.get(key)?.pageIds);
+                summary.pulled.push(key);
+            }
+
+            if (resolution.rating === null) {
+                delete state.ratings[key];
+            } else {
+                state.ratings[key] = resolution.rating;
+            }
+        } catch (error) {
+            summary.failed.push({ label: key, reason: error.message });
+            console.error(`Error syncing the rating of ${key}:`, error);
+        }
+    }
+}
+
+/**
+ * Sync the TMDB account with the Notion database: titles added to the TMDB watchlist are created
+ * in Notion, and personal ratings are synced in both directions. Only changes since the last sync
+ * are handled. Returns the created titles, the pushed and pulled ratings, the conflicts, and the
+ * titles that failed with the reason.
+ * @returns
+ */
+const syncAccount = async () => {
+    const state = loadState();
+    const syncStartedAt = new Date();
+    const summary = { created: [], pushed: [], pulled: [], conflicts: [], failed: [] };
+
+    await syncWatchlist(state, summary);
+    if (schema.personalRating) {
+        await syncRatings(state, summary);
+    }
+
+    state.lastSyncedAt = syncStartedAt.toISOString();
+    saveState(state);
+    return summary;
+};
+
+module.exports = {
+    accountSyncEnabled,
+    resolveRating,
+    syncAccount
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+require('dotenv').config();
+
+// Optional file the cache is persisted to, so it survives restarts (only once init is called)
+const configuredCacheFile = process.env.TMDB_CACHE_FILE;
+const maxEntries = parseInt(process.env.TMDB_CACHE_MAX_ENTRIES) || 5000;
+const persistDelay = 5000;
+
+const minute = 60 * 1000;
+const hour = 60 * minute;
+
+// Time to live for each kind of TMDB resource (the first matching path wins)
+const ttlRules = [
+    { pattern: /^\/search\//, ttl: hour },
+    { pattern: /^\/find\//, ttl: 24 * hour },
+    { pattern: /^\/tv\/\d+\/season\/\d+\/episode\/\d+/, ttl: 6 * hour },
+    { pattern: /^\/tv\/\d+\/season\/\d+/, ttl: 6 * hour },
+    { pattern: /^\/tv\/\d+/, ttl: 6 * hour },
+    { pattern: /^\/movie\/\d+/, ttl: 12 * hour },
+    { pattern: /^\/collection\/\d+/, ttl: 12 * hour },
+    { pattern: /^\/person\/\d+/, ttl: 24 * hour }
+];
+const defaultTtl = hour;
+
+const entries = new Map();
+const bypassContext = new AsyncLocalStorage();
+let cacheFile = null;
+let persistTimer = null;
+
+/**
+ * Construct the cache key for a request to the TMDB endpoint "requestPath" with "params".
+ * @param {string} requestPath
+ * @param {*} params
+ * @returns {string}
+ */
+function getCacheKey(requestPath, params = {}) {
+    const sortedParams = Object.keys(params)
+        .sort()
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    return sortedParams ? `${requestPath}?${sortedParams}` : requestPath;
+}
+
+/**
+ * Get the time to live (in milliseconds) of responses from the TMDB endpoint "requestPath".
+ * @param {string} requestPath
+ * @returns {number}
+ */
+function getTtl(requestPath) {
+    const rule = ttlRules.find(rule => rule.pattern.test(requestPath));
+    return rule ? rule.ttl : defaultTtl;
+}
+
+/**
+ * Get the cache entries that haven't expired yet, in a form that can be saved to disk.
+ * @returns {Array<*>}
+ */
+function getLiveEntries() {
+    const now = Date.now();
+    return [...entries].filter(([, entry]) => entry.expiresAt > now);
+}
+
+/**
+ * Write the cache to disk (if persistence is enabled) a few seconds after the last change.
+ */
+function schedulePersist() {
+    if (!cacheFile || persistTimer) {
+        return;
+    }
+
+    persistTimer = setTimeout(async () => {
+        persistTimer = null;
+        const tempFile = `${cacheFile}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+            await fs.promises.writeFile(tempFile, JSON.stringify(getLiveEntries()));
+            await fs.promises.rename(tempFile, cacheFile);
+        } catch (error) {
+            console.error('Error writing TMDB cache to disk:', error);
+        }
+    }, persistDelay);
+    persistTimer.unref();
+}
+
+/**
+ * Write pending changes to disk before the process exits (including when it is stopped with
+ * Ctrl+C or by a process manager, which skips the exit event).
+ */
+function persistOnExit() {
+    if (!cacheFile || !persistTimer) {
+        return;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+        fs.writeFileSync(cacheFile, JSON.stringify(getLiveEntries()));
+    } catch (error) {
+        console.error('Error writing TMDB cache to disk:', error);
+    }
+}
+
+/**
+ * Load the cache from disk (if persistence is enabled), skipping expired entries.
+ */
+function load() {
+    if (!cacheFile || !fs.existsSync(cacheFile)) {
+        return;
+    }
+
+    try {
+        const now = Date.now();
+        const savedEntries = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        for (const [key, entry] of savedEntries) {
+            if (entry.expiresAt > now) {
+                entries.set(key, entry);
+            }
+        }
+        console.log(`Loaded ${entries.size} cached TMDB responses`);
+    } catch (error) {
+        console.error('Error loading TMDB cache from disk:', error);
+    }
+}
+
+/**
+ * Get the cached response data for "key", or undefined if it isn't cached, has expired, or the
+ * cache is being bypassed.
+ * @param {string} key
+ * @returns {*}
+ */
+const get = (key) => {
+    if (bypassContext.getStore()) {
+        return undefined;
+    }
+
+    const entry = entries.get(key);
+    if (!entry) {
+        return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+    }
+    return entry.data;
+};
+
+/**
+ * Cache the response data "data" for a request to the TMDB endpoint "requestPath".
+ * @param {string} key
+ * @param {string} requestPath
+ * @param {*} data
+ */
+const set = (key, requestPath, data) => {
+    // Re-insert the entry so the Map stays ordered from oldest to newest
+    entries.delete(key);
+    entries.set(key, { data: data, expiresAt: Date.now() + getTtl(requestPath) });
+
+    // Evict the oldest entries when the cache is full
+    while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+    }
+
+    schedulePersist();
+};
+
+/**
+ * Run "fn" without reading from the cache, so every TMDB request it makes returns fresh data
+ * (the fresh responses are still cached for later requests).
+ * @param {Function} fn
+ * @returns {Promise<*>}
+ */
+const bypass = (fn) => bypassContext.run(true, fn);
+
+/**
+ * Persist the cache to TMDB_CACHE_FILE (if set) for the long-running process: load the saved
+ * responses, and save pending changes when the process exits or is stopped with SIGINT or SIGTERM.
+ * Without it, the cache only lives in memory.
+ */
+const init = () => {
+    if (!configuredCacheFile || cacheFile) {
+        return;
+    }
+
+    cacheFile = configuredCacheFile;
+    load();
+    process.on('exit', persistOnExit);
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            persistOnExit();
+            // Stop the process the same way the signal would have without this listener
+            process.kill(process.pid, signal);
+        });
+    }
+};
+
+module.exports = {
+    init,
+    getCacheKey,
+    get,
+    set,
+    bypass
+};
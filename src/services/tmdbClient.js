@@ -0,0 +1,264 @@
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createRequestQueue, wait, getBackoffDelay, parseRequestSetting } = require('../utils/requestQueue');
+const tmdbCache = require('./tmdbCache');
+require('dotenv').config();
+
+// TMDB_API_URL points the integration to another server (e.g. a local stand-in for testing)
+const baseTmdbUrl = process.env.TMDB_API_URL || 'https://api.themoviedb.org/3';
+const tmdbApiKey = process.env.TMDB_API_KEY;
+const headers = {
+    accept: 'application/json',
+    Authorization: `Bearer ${tmdbApiKey}`
+};
+
+// Request budget (TMDB allows roughly 50 requests per second per IP address)
+const maxConcurrentRequests = parseRequestSetting(process.env.TMDB_MAX_CONCURRENT_REQUESTS, 10, 1);
+const maxRequestsPerSecond = parseRequestSetting(process.env.TMDB_MAX_REQUESTS_PER_SECOND, 40, 1);
+const requestTimeout = parseRequestSetting(process.env.TMDB_REQUEST_TIMEOUT, 10000); // 0 waits indefinitely
+const maxRetries = parseRequestSetting(process.env.TMDB_MAX_RETRIES, 3);
+
+// Language (e.g. "fr-FR") and region (e.g. "DE") of the metadata, unless a query specifies its own
+const defaultLocale = {
+    language: process.env.TMDB_LANGUAGE || 'en-US',
+    region: process.env.TMDB_REGION || null
+};
+
+class TMDBError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TMDBError';
+        this.status = options?.status;
+    }
+}
+
+class TMDBNotFoundError extends TMDBError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TMDBNotFoundError';
+    }
+}
+
+class TMDBRateLimitedError extends TMDBError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TMDBRateLimitedError';
+    }
+}
+
+class TMDBUnauthorizedError extends TMDBError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TMDBUnauthorizedError';
+    }
+}
+
+class TMDBNetworkError extends TMDBError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TMDBNetworkError';
+    }
+}
+
+const enqueue = createRequestQueue(maxConcurrentRequests, maxRequestsPerSecond);
+
+// Requests currently in flight, so identical concurrent requests share a single response
+const pendingRequests = new Map();
+
+// Language and region of the requests made within withLocale
+const localeContext = new AsyncLocalStorage();
+
+/**
+ * Convert an axios error into a typed TMDB error.
+ * @param {*} error
+ * @param {string} path
+ * @returns {TMDBError}
+ */
+function toTMDBError(error, path) {
+    const status = error.response?.status;
+    const statusMessage = error.response?.data?.status_message || error.message;
+    const message = `TMDB request to ${path} failed: ${statusMessage}`;
+
+    if (!error.response) {
+        return new TMDBNetworkError(message, { cause: error });
+    } else if (status === 404) {
+        return new TMDBNotFoundError(message, { cause: error, status: status });
+    } else if (status === 429) {
+        return new TMDBRateLimitedError(message, { cause: error, status: status });
+    } else if (status === 401 || status === 403) {
+        return new TMDBUnauthorizedError(message, { cause: error, status: status });
+    }
+    return new TMDBError(message, { cause: error, status: status });
+}
+
+/**
+ * Get the number of milliseconds to wait before retrying a failed request, or null if the
+ * request should not be retried.
+ * @param {TMDBError} error
+ * @param {number} attempt
+ * @returns {number|null}
+ */
+function getRetryDelay(error, attempt) {
+    const isRetryable = error instanceof TMDBRateLimitedError
+        || error instanceof TMDBNetworkError
+        || error.status >= 500;
+
+    if (!isRetryable || attempt >= maxRetries) {
+        return null;
+    }
+
+    // Respect the "Retry-After" header (in seconds) when TMDB sends one
+    const retryAfter = parseInt(error.cause?.response?.headers?.['retry-after']);
+    if (retryAfter) {
+        return retryAfter * 1000;
+    }
+
+    return getBackoffDelay(attempt);
+}
+
+/**
+ * Send a request (GET by default) to the TMDB API endpoint "path", retrying rate limited requests
+ * and transient failures. Throws a typed TMDB error if the request ultimately fails.
+ * @param {string} path
+ * @param {*} params
+ * @param {string} method
+ * @param {*} data
+ * @returns {Promise<*>} The response data
+ */
+const request = async (path, params, method = 'GET', data = undefined) => {
+    const options = {
+        method: method,
+        headers: headers,
+        params: params,
+        data: data,
+        timeout: requestTimeout,
+        url: `${baseTmdbUrl}${path}`
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await enqueue(() => axios.request(options));
+            return response.data;
+        } catch (error) {
+            const tmdbError = toTMDBError(error, path);
+            const retryDelay = getRetryDelay(tmdbError, attempt);
+            if (retryDelay === null) {
+                throw tmdbError;
+            }
+
+            console.warn(`${tmdbError.message} (retrying in ${retryDelay}ms)`);
+            await wait(retryDelay);
+        }
+    }
+};
+
+/**
+ * Get the response data for the TMDB API endpoint "path", from the cache if possible.
+ * Throws a typed TMDB error if the request fails.
+ * @param {string} path
+ * @param {*} params
+ * @returns {Promise<*>} The response data
+ */
+const get = async (path, params = {}) => {
+    // Search results are also filtered by region, other endpoints only use it for release dates
+    const locale = getLocale();
+    params = {
+        language: locale.language,
+        ...(path.startsWith('/search/') && locale.region ? { region: locale.region } : {}),
+        ...params
+    };
+
+    const cacheKey = tmdbCache.getCacheKey(path, params);
+
+    const cachedData = tmdbCache.get(cacheKey);
+    if (cachedData !== undefined) {
+        return cachedData;
+    }
+
+    if (pendingRequests.has(cacheKey)) {
+        return await pendingRequests.get(cacheKey);
+    }
+
+    const pendingRequest = request(path, params);
+    pendingRequests.set(cacheKey, pendingRequest);
+
+    try {
+        const data = await pendingRequest;
+        tmdbCache.set(cacheKey, path, data);
+        return data;
+    } finally {
+        pendingRequests.delete(cacheKey);
+    }
+};
+
+/**
+ * Send a request that changes data on TMDB (e.g. a POST or DELETE to a rating endpoint) to the
+ * endpoint "path". The response is never cached. Throws a typed TMDB error if the request fails.
+ * @param {string} method
+ * @param {string} path
+ * @param {*} data
+ * @param {*} params
+ * @returns {Promise<*>} The response data
+ */
+const send = async (method, path, data = undefined, params = {}) => {
+    return await request(path, params, method, data);
+};
+
+/**
+ * Run "fn", requesting TMDB metadata in the language and region of "locale" (falling back to the
+ * default language and region when they are not set).
+ * @param {{ language: string, region: string }} locale
+ * @param {Function} fn
+ * @returns
+ */
+const withLocale = (locale, fn) => {
+    const currentLocale = getLocale();
+    return localeContext.run({
+        language: locale.language || currentLocale.language,
+        region: locale.region || currentLocale.region
+    }, fn);
+};
+
+/**
+ * Get the language and region TMDB metadata is currently requested in.
+ * @returns {{ language: string, region: string }}
+ */
+const getLocale = () => localeContext.getStore() ?? defaultLocale;
+
+/**
+ * Construct a user-facing error message from "message", explaining the cause of "error" when it
+ * is known. "notFoundHint" is added if TMDB couldn't find the requested content.
+ * @param {*} error
+ * @param {string} message
+ * @param {string} notFoundHint
+ * @returns {string}
+ */
+const describeError = (error, message, notFoundHint = '') => {
+    let hint = notFoundHint;
+
+    if (error instanceof TMDBRateLimitedError) {
+        hint = 'TMDB is rate limiting requests right now, please try again later.';
+    } else if (error instanceof TMDBUnauthorizedError) {
+        hint = 'TMDB rejected the API key, ensure the TMDB_API_KEY of the integration is valid.';
+    } else if (error instanceof TMDBNetworkError) {
+        hint = 'TMDB could not be reached, please try again later.';
+    } else if (error instanceof TMDBError && !(error instanceof TMDBNotFoundError) && error.status >= 500) {
+        hint = 'TMDB is having problems right now, please try again later.';
+    }
+
+    return hint ? `${message} ${hint}` : message;
+};
+
+module.exports = {
+    get,
+    send,
+    bypassCache: tmdbCache.bypass,
+    withLocale,
+    getLocale,
+    describeError,
+    TMDBError,
+    TMDBNotFoundError,
+    TMDBRateLimitedError,
+    TMDBUnauthorizedError,
+    TMDBNetworkError
+};
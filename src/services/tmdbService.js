@@ -1,13 +1,316 @@
-const axios = require('axios');
-require('dotenv').config();
-
-const baseTmdbUrl = 'https://api.themoviedb.org/3';
-const tmdbApiKey = process.env.TMDB_API_KEY;
-const headers = {
-    accept: 'application/json',
-    Authorization: `Bearer ${tmdbApiKey}`
+const tmdbClient = require('./tmdbClient');
+
+const tmdbWebUrl = 'https://www.themoviedb.org';
+
+const movieTypes = ['movie', 'film'];
+const tvTypes = ['tv', 'television', 'series', 'show'];
+const collectionTypes = ['collection'];
+
+const trueFilters = ['true', 'yes'];
+
+// Whether cast members are listed with the characters they play ("Actor as Character")
+const castWithCharacters = trueFilters.includes((process.env.CAST_WITH_CHARACTERS || '').toLowerCase());
+
+// Maximum number of search results offered to the user when a query is ambiguous
+const maxPickCandidates = 5;
+
+// Maximum number of recommended titles listed on movie and TV show pages
+const maxRecommendations = 10;
+
+// Maximum number of backdrops shown in the page body of movies and TV shows
+const maxBackdrops = 6;
+
+/**
+ * Construct the "append_to_response" parameter from "responses", adding the translations when the
+ * metadata isn't requested in English (to fill in the fields that have no translation).
+ * @param {Array<string>} responses 
+ * @returns {string}
+ */
+function appendToResponse(responses) {
+    const { language } = tmdbClient.getLocale();
+    return (language.startsWith('en') ? responses : [...responses, 'translations']).join(',');
+}
+
+/**
+ * Fill the text fields of "data" that have no translation in the requested language with their
+ * English translation (from the appended translations).
+ * @param {*} data 
+ * @returns 
+ */
+function withEnglishFallback(data) {
+    const translations = data.translations?.translations ?? [];
+    const english = translations.find(translation => translation.iso_639_1 === 'en' && translation.iso_3166_1 === 'US')
+        ?? translations.find(translation => translation.iso_639_1 === 'en');
+    if (!english) {
+        return data;
+    }
+
+    const fallback = {};
+    for (const field of ['title', 'name', 'overview', 'tagline', 'biography']) {
+        if (field in data && !data[field] && english.data[field]) {
+            fallback[field] = english.data[field];
+        }
+    }
+    return { ...data, ...fallback };
+}
+
+/**
+ * Construct the details of a cast or crew "member" used to find or create their person page.
+ * @param {*} member 
+ * @returns 
+ */
+function constructPerson(member) {
+    return {
+        title: member.name,
+        poster: member.profile_path ? `https://image.tmdb.org/t/p/w185${member.profile_path}` : '',
+        knownFor: member.known_for_department,
+        type: 'Person',
+        tmdbId: member.id
+    };
+}
+
+/**
+ * Get the characters played by the cast "member" (aggregate credits list a role for each
+ * character, which are ordered from the most to the fewest episodes).
+ * @param {*} member 
+ * @returns {Array<string>}
+ */
+function getCharacters(member) {
+    const roles = member.roles ? [...member.roles].sort((a, b) => b.episode_count - a.episode_count) : [member];
+    return [...new Set(roles.map(role => role.character).filter(Boolean))];
+}
+
+/**
+ * Get the name the cast "member" is listed with (with their characters if CAST_WITH_CHARACTERS is set).
+ * @param {*} member 
+ * @returns {string}
+ */
+function formatCastMember(member) {
+    const characters = getCharacters(member);
+    return castWithCharacters && characters.length ? `${member.name} as ${characters.join(' / ')}` : member.name;
+}
+
+/**
+ * Construct the people credited in "director", "composer", and "cast" (each may be missing).
+ * @param {*} director 
+ * @param {*} composer 
+ * @param {Array<*>} cast 
+ * @returns 
+ */
+function constructPeople(director, composer, cast) {
+    return {
+        director: director ? [constructPerson(director)] : [],
+        composer: composer ? [constructPerson(composer)] : [],
+        cast: cast.map(member => ({ ...constructPerson(member), character: getCharacters(member).join(' / ') }))
+    };
+}
+
+/**
+ * Get the URLs of the best rated backdrops of a movie or TV show from the appended images of "data".
+ * @param {*} data 
+ * @returns {Array<string>}
+ */
+function getBackdrops(data) {
+    const backdrops = [...(data.images?.backdrops ?? [])].sort((a, b) => b.vote_average - a.vote_average);
+    return backdrops.slice(0, maxBackdrops).map(backdrop => `https://image.tmdb.org/t/p/w780${backdrop.file_path}`);
+}
+
+// Crew jobs credited in each crew field
+const crewJobs = {
+    writers: ['Screenplay', 'Writer', 'Teleplay', 'Story'],
+    producers: ['Producer'],
+    cinematographer: ['Director of Photography'],
+    editor: ['Editor']
 };
 
+/**
+ * Get the names of the crew members in "credits" credited in each crew field (each listed once).
+ * @param {*} credits 
+ * @returns 
+ */
+function getCrew(credits) {
+    const crew = {};
+    for (const [field, jobs] of Object.entries(crewJobs)) {
+        const members = credits.crew.filter(member => jobs.includes(member.job));
+        crew[field] = [...new Set(members.map(member => member.name))];
+    }
+    return crew;
+}
+
+/**
+ * Get the production details of a movie or TV show from "data": the companies, networks (TV
+ * only), creators (TV only), countries of origin, and original language.
+ * @param {*} data 
+ * @returns 
+ */
+function getProduction(data) {
+    const originalLanguage = data.spoken_languages?.find(language => language.iso_639_1 === data.original_language);
+
+    return {
+        creators: data.created_by?.map(creator => creator.name),
+        networks: data.networks?.map(network => network.name),
+        productionCompanies: data.production_companies.map(company => company.name),
+        originCountries: data.origin_country ?? data.production_countries.map(country => country.iso_3166_1),
+        originalLanguage: originalLanguage?.english_name || data.original_language
+    };
+}
+
+/**
+ * Get the IDs of "data" on other sites (from the appended external IDs), each empty if TMDB
+ * doesn't have it.
+ * @param {*} data 
+ * @returns 
+ */
+function getExternalIds(data) {
+    const externalIds = data.external_ids ?? {};
+    const imdbId = externalIds.imdb_id || data.imdb_id || '';
+
+    return {
+        imdbId: imdbId,
+        imdbUrl: imdbId ? `https://www.imdb.com/title/${imdbId}/` : '',
+        tvdbId: externalIds.tvdb_id || null,
+        wikidataId: externalIds.wikidata_id || ''
+    };
+}
+
+/**
+ * Get the names of the keywords of a movie or TV show from the appended keywords of "data".
+ * @param {*} data 
+ * @returns {Array<string>}
+ */
+function getKeywords(data) {
+    // Movie keywords are listed in "keywords", and TV show keywords in "results"
+    const keywords = data.keywords?.keywords ?? data.keywords?.results ?? [];
+    return keywords.map(keyword => keyword.name);
+}
+
+/**
+ * Get the titles recommended for a movie or TV show from the appended recommendations of "data",
+ * followed by similar titles (each listed once).
+ * @param {*} data 
+ * @param {boolean} isTelevision 
+ * @returns {Array<*>}
+ */
+function getRecommendations(data, isTelevision) {
+    const mediaType = isTelevision ? 'tv' : 'movie';
+    const results = [...(data.recommendations?.results ?? []), ...(data.similar?.results ?? [])];
+    const uniqueResults = results.filter((result, index) => result.id !== data.id && results.findIndex(other => other.id === result.id) === index);
+
+    return uniqueResults.slice(0, maxRecommendations).map(result => {
+        const releaseDate = result.release_date || result.first_air_date;
+        return {
+            tmdbId: result.id,
+            mediaType: mediaType,
+            title: result.title || result.name,
+            year: releaseDate ? releaseDate.slice(0, 4) : '',
+            url: `${tmdbWebUrl}/${mediaType}/${result.id}`
+        };
+    });
+}
+
+// TMDB release types
+const releaseTypes = {
+    premiere: 1,
+    limitedTheatrical: 2,
+    theatrical: 3,
+    digital: 4,
+    physical: 5,
+    tv: 6
+};
+
+/**
+ * Get the country certifications and release dates are taken from: the requested region, or the
+ * country of the requested language (e.g. "US" for "en-US").
+ * @returns {string}
+ */
+function getCountry() {
+    const { language, region } = tmdbClient.getLocale();
+    return region || language.split('-')[1] || 'US';
+}
+
+/**
+ * Get the release dates of the movie "data" in "country" (from the appended release dates).
+ * @param {*} data 
+ * @param {string} country 
+ * @returns {Array<*>}
+ */
+function getCountryReleaseDates(data, country) {
+    return data.release_dates?.results.find(result => result.iso_3166_1 === country)?.release_dates ?? [];
+}
+
+/**
+ * Get the earliest of the "releaseDates" with one of the release types "types", or null if there
+ * is none.
+ * @param {Array<*>} releaseDates 
+ * @param {Array<number>} types 
+ * @returns 
+ */
+function getEarliestReleaseDate(releaseDates, types) {
+    const dates = releaseDates
+        .filter(releaseDate => types.includes(releaseDate.type))
+        .map(releaseDate => releaseDate.release_date.split('T')[0])
+        .sort();
+
+    return dates[0] ?? null;
+}
+
+/**
+ * Get the release date of the movie "data" in the requested region (the first theatrical release
+ * if there is one), or null if no region was requested or it has no release date there.
+ * @param {*} data 
+ * @returns 
+ */
+function getRegionalReleaseDate(data) {
+    const { region } = tmdbClient.getLocale();
+    if (!region) {
+        return null;
+    }
+
+    const releaseDates = getCountryReleaseDates(data, region);
+    return getEarliestReleaseDate(releaseDates, [releaseTypes.limitedTheatrical, releaseTypes.theatrical])
+        ?? getEarliestReleaseDate(releaseDates, Object.values(releaseTypes));
+}
+
+/**
+ * Get the certification (e.g. "PG-13" or "TV-MA") of the movie or TV show "data" in the configured
+ * country, or an empty string if it has none.
+ * @param {*} data 
+ * @param {boolean} isTelevision 
+ * @returns {string}
+ */
+function getContentRating(data, isTelevision) {
+    const country = getCountry();
+
+    if (isTelevision) {
+        return data.content_ratings?.results.find(result => result.iso_3166_1 === country)?.rating || '';
+    }
+
+    // Prefer the certification of the theatrical release, other releases can be rated differently
+    const certifiedReleases = getCountryReleaseDates(data, country).filter(releaseDate => releaseDate.certification);
+    const certifiedRelease = certifiedReleases.find(releaseDate => releaseDate.type === releaseTypes.theatrical)
+        ?? certifiedReleases.find(releaseDate => releaseDate.type === releaseTypes.limitedTheatrical)
+        ?? certifiedReleases[0];
+    return certifiedRelease?.certification || '';
+}
+
+/**
+ * Get the names of the stream, rent, and buy providers of a movie or TV show in the configured
+ * country, and the link to its TMDB "where to watch" page, from "providersData".
+ * @param {*} providersData 
+ * @returns 
+ */
+function getWatchProviders(providersData) {
+    const countryProviders = providersData?.results?.[getCountry()];
+    const getProviderNames = (providers) => (providers ?? []).map(provider => provider.provider_name);
+
+    return {
+        streamProviders: getProviderNames(countryProviders?.flatrate),
+        rentProviders: getProviderNames(countryProviders?.rent),
+        buyProviders: getProviderNames(countryProviders?.buy),
+        watchLink: countryProviders?.link ?? ''
+    };
+}
+
 /**
  * Retrieve details for a movie from the TMDB API using the movie ID.
  * @param {number} movieId 
@@ -15,24 +318,18 @@ const headers = {
  */
 const fetchMovieDetails = async (movieId) => {
     const params = {
-        append_to_response: 'credits,videos'
-    };
-
-    const options = {
-        method: 'GET',
-        headers: headers,
-        params: params,
-        url: `${baseTmdbUrl}/movie/${movieId}`
+        append_to_response: appendToResponse(['credits', 'videos', 'release_dates', 'watch/providers', 'external_ids', 'keywords', 'recommendations', 'similar', 'images']),
+        include_image_language: 'null' // Backdrops without text
     };
 
     try {
-        const response = await axios.request(options);
+        const movieData = await tmdbClient.get(`/movie/${movieId}`, params);
         return {
-            movieData: response.data
+            movieData: movieData
         };
     } catch (error) {
         console.error('Error fetching TMDB movie details:', error);
-        throw new Error(); // Error handled in the calling function
+        throw error; // Error handled in the calling function
     }
 };
 
@@ -47,19 +344,12 @@ const fetchMovieDetails = async (movieId) => {
  */
 const fetchTelevisionShowDetails = async (showId, includeSeasons = false, currentSeasons = [], includeEpisodes = false, currentEpisodes = []) => {
     const params = {
-        append_to_response: 'credits,videos'
-    };
-
-    const options = {
-        method: 'GET',
-        headers: headers,
-        params: params,
-        url: `${baseTmdbUrl}/tv/${showId}`
+        append_to_response: appendToResponse(['credits', 'aggregate_credits', 'videos', 'content_ratings', 'watch/providers', 'external_ids', 'keywords', 'recommendations', 'similar', 'images']),
+        include_image_language: 'null' // Backdrops without text
     };
 
     try {
-        const response = await axios.request(options);
-        const showData = response.data;
+        const showData = await tmdbClient.get(`/tv/${showId}`, params);
 
         if (includeSeasons) {
             // Get missing seasons
@@ -100,7 +390,7 @@ const fetchTelevisionShowDetails = async (showId, includeSeasons = false, curren
         };
     } catch (error) {
         console.error('Error fetching TMDB television details:', error);
-        throw new Error(); // Error handled in the calling function
+        throw error; // Error handled in the calling function
     }
 };
 
@@ -114,19 +404,11 @@ const fetchTelevisionShowDetails = async (showId, includeSeasons = false, curren
  */
 const fetchTelevisionSeasonDetails = async (showId, seasonNumber, includeEpisodes = false, currentEpisodes = []) => {
     const params = {
-        append_to_response: 'credits,videos'
-    };
-
-    const options = {
-        method: 'GET',
-        headers: headers,
-        params: params,
-        url: `${baseTmdbUrl}/tv/${showId}/season/${seasonNumber}`
+        append_to_response: appendToResponse(['credits', 'videos', 'external_ids'])
     };
 
     try {
-        const response = await axios.request(options);
-        const seasonData = response.data;
+        const seasonData = await tmdbClient.get(`/tv/${showId}/season/${seasonNumber}`, params);
 
         if (includeEpisodes) {
             // Get new episodes
@@ -150,7 +432,7 @@ const fetchTelevisionSeasonDetails = async (showId, seasonNumber, includeEpisode
         };
     } catch (error) {
         console.error('Error fetching TMDB season details:', error);
-        throw new Error(); // Error handled in the calling function
+        throw error; // Error handled in the calling function
     }
 };
 
@@ -164,25 +446,71 @@ const fetchTelevisionSeasonDetails = async (showId, seasonNumber, includeEpisode
  */
 const fetchTelevisionEpisodeDetails = async (showId, seasonNumber, episodeNumber) => {
     const params = {
-        append_to_response: 'credits'
-    };
-
-    const options = {
-        method: 'GET',
-        headers: headers,
-        params: params,
-        url: `${baseTmdbUrl}/tv/${showId}/season/${seasonNumber}/episode/${episodeNumber}`
+        append_to_response: appendToResponse(['credits', 'external_ids'])
     };
 
     try {
-        const response = await axios.request(options);
+        const episodeData = await tmdbClient.get(`/tv/${showId}/season/${seasonNumber}/episode/${episodeNumber}`, params);
 
         return {
-            episodeData: response.data
+            episodeData: episodeData
         };
     } catch (error) {
         console.error('Error fetching TMDB episode details:', error);
-        throw new Error(); // Error handled in the calling function
+        throw error; // Error handled in the calling function
+    }
+};
+
+/**
+ * Retrieve the watch providers of a movie or TV show from the TMDB API using its ID.
+ * @param {number} tmdbId 
+ * @param {boolean} isTelevision 
+ * @returns 
+ */
+const fetchWatchProviders = async (tmdbId, isTelevision) => {
+    try {
+        const providersData = await tmdbClient.get(`/${isTelevision ? 'tv' : 'movie'}/${tmdbId}/watch/providers`);
+        return getWatchProviders(providersData);
+    } catch (error) {
+        console.error('Error fetching TMDB watch providers:', error);
+        throw error; // Error handled in the calling function
+    }
+};
+
+/**
+ * Retrieve details for a movie collection (e.g. a film series) from the TMDB API using the collection ID.
+ * @param {number} collectionId 
+ * @returns 
+ */
+const fetchCollectionDetails = async (collectionId) => {
+    try {
+        const collectionData = await tmdbClient.get(`/collection/${collectionId}`);
+        return {
+            collectionData: collectionData
+        };
+    } catch (error) {
+        console.error('Error fetching TMDB collection details:', error);
+        throw error; // Error handled in the calling function
+    }
+};
+
+/**
+ * Retrieve details for a person (cast or crew member) from the TMDB API using the person ID.
+ * @param {number} personId 
+ * @returns 
+ */
+const fetchPersonDetails = async (personId) => {
+    const responses = appendToResponse([]);
+    const params = responses ? { append_to_response: responses } : {};
+
+    try {
+        const personData = await tmdbClient.get(`/person/${personId}`, params);
+        return {
+            personData: personData
+        };
+    } catch (error) {
+        console.error('Error fetching TMDB person details:', error);
+        throw error; // Error handled in the calling function
     }
 };
 
@@ -193,39 +521,58 @@ const fetchTelevisionEpisodeDetails = async (showId, seasonNumber, episodeNumber
  * @returns 
  */
 const constructDetails = (data, isTelevision) => {
-    let directorName = '', cast = [];
+    data = withEnglishFallback(data);
+
+    let director = null, cast = [];
 
     if (isTelevision) {
-        cast = data.credits.cast.slice(0, 20).map(actor => actor.name);
+        // The aggregate credits cover every season (the credits only cover the latest one)
+        cast = data.aggregate_credits
+            ? [...data.aggregate_credits.cast].sort((a, b) => b.total_episode_count - a.total_episode_count).slice(0, 20)
+            : data.credits.cast.slice(0, 20);
     } else {
-        const director = data.credits.crew.find(member => member.job === 'Director');
-        directorName = director ? director.name : '';
-        cast = data.credits.cast.slice(0, 10).map(actor => actor.name);
+        director = data.credits.crew.find(member => member.job === 'Director');
+        cast = data.credits.cast.slice(0, 10);
     }
 
     const composer = data.credits.crew.find(member => member.job === 'Original Music Composer');
-    const composerName = composer ? composer.name : '';
 
     const trailers = data.videos.results
         .filter(video => video.type === 'Trailer' && video.site === 'YouTube' && video.official)
         .sort((a, b) => new Date(a.published_at) - new Date(b.published_at));
     const trailerKey = trailers.length > 0 ? trailers[0].key : '';
 
+    const countryReleaseDates = isTelevision ? [] : getCountryReleaseDates(data, getCountry());
+
     return {
         title: data.title || data.name,
         tagline: data.tagline,
         genres: data.genres.map(genre => genre.name),
         runtime: data.runtime,
         status: data.status,
-        releaseDate: data.release_date || data.first_air_date,
+        releaseDate: (!isTelevision && getRegionalReleaseDate(data)) || data.release_date || data.first_air_date,
         synopsis: data.overview,
-        director: directorName,
-        composer: composerName,
-        cast: cast,
+        director: director ? director.name : '',
+        composer: composer ? composer.name : '',
+        cast: cast.map(formatCastMember),
+        people: constructPeople(director, composer, cast),
+        ...getCrew(data.credits),
+        ...getProduction(data),
+        budget: data.budget,
+        revenue: data.revenue,
+        ...getExternalIds(data),
+        keywords: getKeywords(data),
+        recommendations: getRecommendations(data, isTelevision),
+        backdrops: getBackdrops(data),
         poster: data.poster_path ? `https://image.tmdb.org/t/p/w500${data.poster_path}` : '',
         backdrop: data.backdrop_path ? `https://image.tmdb.org/t/p/original${data.backdrop_path}` : '',
         trailer: trailerKey ? `https://www.youtube.com/watch?v=${trailerKey}` : '',
         rating: data.vote_average,
+        contentRating: getContentRating(data, isTelevision),
+        theatricalReleaseDate: getEarliestReleaseDate(countryReleaseDates, [releaseTypes.limitedTheatrical, releaseTypes.theatrical]),
+        digitalReleaseDate: getEarliestReleaseDate(countryReleaseDates, [releaseTypes.digital]),
+        physicalReleaseDate: getEarliestReleaseDate(countryReleaseDates, [releaseTypes.physical]),
+        ...getWatchProviders(data['watch/providers']),
         type: isTelevision ? (data.type === 'Miniseries' ? 'Miniseries' : 'Television') : 'Movie',
         tmdbId: data.id
     };
@@ -241,34 +588,19 @@ const constructDetails = (data, isTelevision) => {
 const constructSeasonDetails = async (seasonData, showData = null, showId = null) => {
     if (!showData) {
         if (!showId) {
-            throw new Error();
+            throw new Error('The show data or show ID is required to construct season details');
         }
 
-        const showParams = {
-            append_to_response: 'credits,videos'
-        };
-    
-        const showOptions = {
-            method: 'GET',
-            headers: headers,
-            params: showParams,
-            url: `${baseTmdbUrl}/tv/${showId}`
-        };
-
-        const showResponse = await axios.request(showOptions);
-        showData = showResponse.data;
+        ({ showData } = await fetchTelevisionShowDetails(showId));
     }
 
-    let seasonComposerName = '';
-    const seasonComposer = seasonData.credits.crew.find(member => member.job === 'Original Music Composer');
-    if (seasonComposer) {
-        seasonComposerName = seasonComposer.name;
-    } else {
-        const showComposer = showData.credits.crew.find(member => member.job === 'Original Music Composer');
-        seasonComposerName = showComposer ? showComposer.name : '';
-    }
+    showData = withEnglishFallback(showData);
+    seasonData = withEnglishFallback(seasonData);
+
+    const seasonComposer = seasonData.credits.crew.find(member => member.job === 'Original Music Composer')
+        ?? showData.credits.crew.find(member => member.job === 'Original Music Composer');
 
-    const seasonCast = seasonData.credits.cast.slice(0, 15).map(actor => actor.name);
+    const seasonCast = seasonData.credits.cast.slice(0, 15);
 
     const seasonTrailers = seasonData.videos.results
         .filter(video => video.type === 'Trailer' && video.site === 'YouTube' && video.official)
@@ -281,8 +613,11 @@ const constructSeasonDetails = async (seasonData, showData = null, showId = null
         status: new Date().toISOString().split('T')[0] > seasonData.air_date && showData.status !== 'Canceled' ? 'Released' : showData.status,
         releaseDate: seasonData.air_date,
         synopsis: seasonData.overview ? seasonData.overview : (seasonData.season_number === 1 ? showData.overview : ''),
-        composer: seasonComposerName,
-        cast: seasonCast,
+        composer: seasonComposer ? seasonComposer.name : '',
+        cast: seasonCast.map(formatCastMember),
+        people: constructPeople(null, seasonComposer, seasonCast),
+        ...getCrew(seasonData.credits),
+        ...getExternalIds(seasonData),
         poster: seasonData.poster_path ? `https://image.tmdb.org/t/p/w500${seasonData.poster_path}` : '',
         backdrop: showData.backdrop_path ? `https://image.tmdb.org/t/p/original${showData.backdrop_path}` : '',
         trailer: seasonTrailerKey ? `https://www.youtube.com/watch?v=${seasonTrailerKey}` : '',
@@ -305,62 +640,30 @@ const constructSeasonDetails = async (seasonData, showData = null, showId = null
 const constructEpisodeDetails = async (episodeData, showData = null, seasonData = null, showId = null, seasonNumber = null) => {
     if (!showData) {
         if (!showId) {
-            throw new Error();
+            throw new Error('The show data or show ID is required to construct episode details');
         }
 
-        const showParams = {
-            append_to_response: 'credits,videos'
-        };
-    
-        const showOptions = {
-            method: 'GET',
-            headers: headers,
-            params: showParams,
-            url: `${baseTmdbUrl}/tv/${showId}`
-        };
-
-        const showResponse = await axios.request(showOptions);
-        showData = showResponse.data;
+        ({ showData } = await fetchTelevisionShowDetails(showId));
     }
 
     if (!seasonData) {
         if (!showId || !seasonNumber) {
-            throw new Error();
+            throw new Error('The season data or show ID and season number are required to construct episode details');
         }
 
-        const seasonParams = {
-            append_to_response: 'credits,videos'
-        };
-
-        const seasonOptions = {
-            method: 'GET',
-            headers: headers,
-            params: seasonParams,
-            url: `${baseTmdbUrl}/tv/${showId}/season/${seasonNumber}`
-        };
-
-        const seasonResponse = await axios.request(seasonOptions);
-        seasonData = seasonResponse.data;
+        ({ seasonData } = await fetchTelevisionSeasonDetails(showId, seasonNumber));
     }
 
+    episodeData = withEnglishFallback(episodeData);
+
     const director = episodeData.credits.crew.find(member => member.job === 'Director');
-    const directorName = director ? director.name : '';
 
-    let episodeComposerName = '';
-    const episodeComposer = episodeData.credits.crew.find(member => member.job === 'Original Music Composer');
-    if (episodeComposer) {
-        episodeComposerName = episodeComposer.name;
-    } else {
-        const seasonComposer = seasonData.credits.crew.find(member => member.job === 'Original Music Composer');
-        if (seasonComposer) {
-            episodeComposerName = seasonComposer.name;
-        } else {
-            const showComposer = showData.credits.crew.find(member => member.job === 'Original Music Composer');
-            episodeComposerName = showComposer ? showComposer.name : '';
-        }
-    }
+    const episodeComposer = episodeData.credits.crew.find(member => member.job === 'Original Music Composer')
+        ?? seasonData.credits.crew.find(member => member.job === 'Original Music Composer')
+        ?? showData.credits.crew.find(member => member.job === 'Original Music Composer');
 
-    const episodeCast = episodeData.credits.cast.slice(0, 10).map(actor => actor.name);
+    const episodeCast = episodeData.credits.cast.slice(0, 10);
+    const guestStars = episodeData.guest_stars ?? [];
 
     return {
         title: episodeData.name,
@@ -369,9 +672,13 @@ const constructEpisodeDetails = async (episodeData, showData = null, seasonData
         status: new Date().toISOString().split('T')[0] > seasonData.air_date && showData.status !== 'Canceled' ? 'Released' : showData.status,
         releaseDate: episodeData.air_date,
         synopsis: episodeData.overview,
-        director: directorName,
-        composer: episodeComposerName,
-        cast: episodeCast,
+        director: director ? director.name : '',
+        composer: episodeComposer ? episodeComposer.name : '',
+        cast: episodeCast.map(formatCastMember),
+        guestStars: guestStars.map(formatCastMember),
+        people: { ...constructPeople(director, episodeComposer, episodeCast), guestStars: guestStars.map(constructPerson) },
+        ...getCrew(episodeData.credits),
+        ...getExternalIds(episodeData),
         poster: seasonData.poster_path ? `https://image.tmdb.org/t/p/w500${seasonData.poster_path}` : '',
         backdrop: showData.backdrop_path ? `https://image.tmdb.org/t/p/original${showData.backdrop_path}` : '',
         rating: episodeData.vote_average,
@@ -382,6 +689,47 @@ const constructEpisodeDetails = async (episodeData, showData = null, seasonData
     };
 };
 
+/**
+ * Construct a details object for a person page with the relevant information from "personData".
+ * @param {*} personData 
+ * @returns 
+ */
+const constructPersonDetails = (personData) => {
+    personData = withEnglishFallback(personData);
+
+    return {
+        ...constructPerson(personData),
+        // Notion rich text is limited to 2000 characters
+        biography: personData.biography ? personData.biography.slice(0, 2000) : ''
+    };
+};
+
+/**
+ * Construct a details object for a movie collection with the relevant information from
+ * "collectionData", including the details of each of its movies (in release order).
+ * @param {*} collectionData 
+ * @returns 
+ */
+const constructCollectionDetails = async (collectionData) => {
+    // Movies without a release date yet are the most recent
+    const parts = [...collectionData.parts].sort((a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'));
+
+    const moviesPromises = parts.map(async (part) => {
+        const { movieData } = await fetchMovieDetails(part.id);
+        return constructDetails(movieData, false);
+    });
+
+    return {
+        title: collectionData.name,
+        synopsis: collectionData.overview,
+        poster: collectionData.poster_path ? `https://image.tmdb.org/t/p/w500${collectionData.poster_path}` : '',
+        backdrop: collectionData.backdrop_path ? `https://image.tmdb.org/t/p/original${collectionData.backdrop_path}` : '',
+        type: 'Collection',
+        tmdbId: collectionData.id,
+        movies: await Promise.all(moviesPromises)
+    };
+};
+
 /**
  * Validates the key-value pairs in the query filters
  * @param {string} key 
@@ -389,15 +737,19 @@ const constructEpisodeDetails = async (episodeData, showData = null, seasonData
  * @returns {boolean}
  */
 function validateQueryFilters(key, value) {
-    const validKeys = ['year', 'y', 'type', 't', 'episode', 'e', 'season', 's', 'all_seasons', 'all_episodes', 'all'];
+    const validKeys = ['year', 'y', 'type', 't', 'episode', 'e', 'season', 's', 'all_seasons', 'all_episodes', 'all', 'all_collection', 'pick', 'p', 'lang', 'region'];
 
     const validValues = {
         year: /^\d{4}$/,
-        type: /^(movie|film|tv|television|series|show)$/,
+        type: /^(movie|film|tv|television|series|show|collection)$/,
         season: /^\d+$/,
         episode: /^\d+$/,
         all_seasons: /^(true|false|yes|no)$/,
-        all_episodes: /^(true|false|yes|no)$/
+        all_episodes: /^(true|false|yes|no)$/,
+        all_collection: /^(true|false|yes|no)$/,
+        pick: /^[1-9]\d*$/,
+        lang: /^[a-z]{2}(-[a-z]{2})?$/,
+        region: /^[a-z]{2}$/
     };
 
     if (!validKeys.includes(key)) {
@@ -424,7 +776,9 @@ function parseQueryString(queryString) {
         't': 'type',
         's': 'season',
         'e': 'episode',
-        'all': 'all_episodes'
+        'all': 'all_episodes',
+        'p': 'pick',
+        'language': 'lang'
     };
 
     const [mainQuery, filtersString] = queryString.slice(0, -1).split('['); // Remove trailing semicolon and split on '['
@@ -450,15 +804,256 @@ function parseQueryString(queryString) {
     };
 }
 
+/**
+ * Get the language and region requested in the query filters (e.g. "lang=fr-ca, region=de"), in
+ * the format TMDB expects ("fr-CA" and "DE").
+ * @param {*} filters 
+ * @returns {{ language: string, region: string }}
+ */
+function getQueryLocale(filters) {
+    const [language, country] = (filters.lang || '').split('-');
+    return {
+        language: country ? `${language}-${country.toUpperCase()}` : language || null,
+        region: filters.region ? filters.region.toUpperCase() : null
+    };
+}
+
+/**
+ * Get the media type ('movie', 'tv', or 'collection') of a search result, using the type filter
+ * when the search was restricted to movies, TV shows, or collections (those results don't include
+ * a media type).
+ * @param {*} result 
+ * @param {*} filters 
+ * @returns {string}
+ */
+function getResultMediaType(result, filters) {
+    if (movieTypes.includes(filters.type)) {
+        return 'movie';
+    } else if (tvTypes.includes(filters.type)) {
+        return 'tv';
+    } else if (collectionTypes.includes(filters.type)) {
+        return 'collection';
+    }
+    return result.media_type;
+}
+
+/**
+ * Find the search results that are too close to the top result to pick one automatically
+ * (i.e. the same title, but a different year or media type).
+ * @param {Array<*>} results 
+ * @param {*} filters 
+ * @returns {Array<*>}
+ */
+function findCandidates(results, filters) {
+    const normalizeTitle = (title) => (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    const topTitle = normalizeTitle(results[0].title || results[0].name);
+
+    return results
+        .slice(0, maxPickCandidates)
+        .map((result, index) => ({ result: result, index: index + 1 }))
+        .filter(({ result }) => normalizeTitle(result.title || result.name) === topTitle)
+        .map(({ result, index }) => {
+            const mediaType = getResultMediaType(result, filters);
+            const releaseDate = result.release_date || result.first_air_date;
+            return {
+                index: index,
+                tmdbId: result.id,
+                mediaType: mediaType,
+                title: result.title || result.name,
+                year: releaseDate ? releaseDate.slice(0, 4) : '',
+                poster: result.poster_path ? `https://image.tmdb.org/t/p/w185${result.poster_path}` : '',
+                url: `${tmdbWebUrl}/${mediaType}/${result.id}`
+            };
+        });
+}
+
+/**
+ * Retrieve the details for a single search result (movie, TV show, or collection), including the
+ * seasons, episodes, and collection movies requested in the query filters.
+ * @param {*} result 
+ * @param {string} mediaType 
+ * @param {*} filters 
+ * @returns 
+ */
+const fetchResultDetails = async (result, mediaType, filters) => {
+    if (mediaType === 'movie') {
+        try {
+            const { movieData } = await fetchMovieDetails(result.id);
+            const movieDetails = constructDetails(movieData, false);
+
+            // Get the other movies of the movie's collection if specified in the filters
+            if (trueFilters.includes(filters.all_collection) && movieData.belongs_to_collection) {
+                const { collectionData } = await fetchCollectionDetails(movieData.belongs_to_collection.id);
+                movieDetails.collection = await constructCollectionDetails(collectionData);
+            }
+
+            return movieDetails;
+        } catch (error) {
+            console.error('Error fetching movie details from TMDB:', error);
+            return { error: tmdbClient.describeError(error, 'An error occurred while fetching movie details from TMDB!', 'Ensure the TMDB ID is valid.') };
+        }
+    } else if (mediaType === 'collection') {
+        try {
+            const { collectionData } = await fetchCollectionDetails(result.id);
+            return await constructCollectionDetails(collectionData);
+        } catch (error) {
+            console.error('Error fetching collection details from TMDB:', error);
+            return { error: tmdbClient.describeError(error, 'An error occurred while fetching collection details from TMDB!', 'Ensure the TMDB ID is valid.') };
+        }
+    } else if (mediaType === 'tv') {
+        try {
+            const { showData } = await fetchTelevisionShowDetails(result.id);
+            const showDetails = constructDetails(showData, true);
+
+            // Get a single season or episode if specified in the filters
+            if (filters.season) {
+                try {
+                    const { seasonData, episodesData } = await fetchTelevisionSeasonDetails(result.id, filters.season, filters.all_episodes ? true : false);
+                    const seasonDetails = await constructSeasonDetails(seasonData, showData);
+
+                    if (filters.episode) { // Get a specific episode for a specific season
+                        try {
+                            const { episodeData } = await fetchTelevisionEpisodeDetails(result.id, filters.season, filters.episode);
+                            const episodeDetails = await constructEpisodeDetails(episodeData, showData, seasonData);
+                            return episodeDetails;
+                        } catch (error) {
+                            console.error('Error fetching TV episode details from TMDB:', error);
+                            return { error: tmdbClient.describeError(error, 'An error occurred while fetching TV episode details from TMDB!', 'Ensure the season and episode numbers are valid.') };
+                        }
+                    } else if (filters.all_episodes) { // Get all episodes for a specific season
+                        const episodeNumbers = episodesData.map(episode => episode.episode_number);
+
+                        const episodesPromises = episodeNumbers.map(async (episodeNumber) => {
+                            const { episodeData } = await fetchTelevisionEpisodeDetails(result.id, filters.season, episodeNumber);
+                            const episodeDetails = await constructEpisodeDetails(episodeData, showData, seasonData);
+                            return episodeDetails;
+                        });
+
+                        const episodesDetails = await Promise.all(episodesPromises);
+                        seasonDetails.episodes = episodesDetails;
+                    }
+
+                    return seasonDetails;
+                } catch (error) {
+                    console.error('Error fetching TV season details from TMDB:', error);
+                    return { error: tmdbClient.describeError(error, 'An error occurred while fetching TV season data TMDB!', 'Ensure the season number is valid.') };
+                }
+            }
+
+            // Get season and episode details for television shows (if necessary)
+
+            const includeSeasons = trueFilters.includes(filters.all_seasons);
+            const includeEpisodes = trueFilters.includes(filters.all_episodes);
+
+            if (includeSeasons || includeEpisodes) {
+                // Filter out Season 0 (Specials)
+                const seasons = showData.seasons.filter(season => season.season_number > 0).map(season => season.season_number);
+
+                const seasonsPromises = seasons.map(async (season) => {
+                    const { seasonData, episodesData } = await fetchTelevisionSeasonDetails(result.id, season, includeEpisodes);
+                    const seasonDetails = await constructSeasonDetails(seasonData, showData);
+                    if (includeEpisodes) {
+                        const episodesPromises = episodesData.map(async (episodeData) => await constructEpisodeDetails(episodeData, showData, seasonData));
+                        seasonDetails.episodes = await Promise.all(episodesPromises);
+                    }
+                    return seasonDetails;
+                });
+
+                const seasonsDetails = await Promise.all(seasonsPromises);
+                showDetails.seasons = seasonsDetails;
+            }
+
+            return showDetails;
+        } catch (error) {
+            console.error('Error fetching TV show details from TMDB:', error);
+            return { error: tmdbClient.describeError(error, 'An error occurred while fetching TV show details from TMDB!', 'Ensure the TMDB ID is valid.') };
+        }
+    }
+
+    return { error: 'No results found!' };
+};
+
+/**
+ * Find a movie, TV show, season, or episode on TMDB using an external ID (e.g. an IMDb or TVDB ID).
+ * @param {string} externalId 
+ * @param {string} externalSource 
+ * @returns 
+ */
+const findByExternalId = async (externalId, externalSource) => {
+    const params = {
+        external_source: externalSource
+    };
+
+    try {
+        const findData = await tmdbClient.get(`/find/${externalId}`, params);
+
+        if (findData.movie_results.length) {
+            return { id: findData.movie_results[0].id, mediaType: 'movie' };
+        } else if (findData.tv_results.length) {
+            return { id: findData.tv_results[0].id, mediaType: 'tv' };
+        } else if (findData.tv_season_results.length) {
+            const season = findData.tv_season_results[0];
+            return { id: season.show_id, mediaType: 'tv', season: season.season_number };
+        } else if (findData.tv_episode_results.length) {
+            const episode = findData.tv_episode_results[0];
+            return { id: episode.show_id, mediaType: 'tv', season: episode.season_number, episode: episode.episode_number };
+        }
+
+        return null;
+    } catch (error) {
+        console.error('Error finding TMDB content by external ID:', error);
+        throw error; // Error handled in the calling function
+    }
+};
+
+/**
+ * Resolve a query that references a specific title directly (a TMDB ID, IMDb ID, TVDB ID, or
+ * a TMDB/IMDb URL). Returns null if the query is a regular title search.
+ * @param {string} mainQuery 
+ * @param {*} filters 
+ * @returns 
+ */
+const resolveDirectReference = async (mainQuery, filters) => {
+    const tmdbUrlMatch = mainQuery.match(/^(?:https?:\/\/)?(?:www\.)?themoviedb\.org\/(movie|tv|collection)\/(\d+)[^\/?#]*(?:\/season\/(\d+)(?:\/episode\/(\d+))?)?/i);
+    if (tmdbUrlMatch) {
+        const [, mediaType, id, season, episode] = tmdbUrlMatch;
+        return { id: parseInt(id), mediaType: mediaType.toLowerCase(), season: season, episode: episode };
+    }
+
+    const tmdbIdMatch = mainQuery.match(/^tmdb\s*:\s*(?:(movie|tv|collection)\s*[\/:]\s*)?(\d+)$/i);
+    if (tmdbIdMatch) {
+        const [, mediaType, id] = tmdbIdMatch;
+        const filterMediaType = getResultMediaType({ media_type: 'movie' }, filters); // TMDB IDs are movies unless specified otherwise
+        return { id: parseInt(id), mediaType: mediaType ? mediaType.toLowerCase() : filterMediaType };
+    }
+
+    const imdbMatch = mainQuery.match(/^(?:imdb\s*:\s*)?(tt\d+)$/i) || mainQuery.match(/imdb\.com\/title\/(tt\d+)/i);
+    const tvdbMatch = mainQuery.match(/^tvdb\s*:\s*(\d+)$/i);
+    if (imdbMatch || tvdbMatch) {
+        const externalId = imdbMatch ? imdbMatch[1].toLowerCase() : tvdbMatch[1];
+        const externalSource = imdbMatch ? 'imdb_id' : 'tvdb_id';
+
+        try {
+            const reference = await findByExternalId(externalId, externalSource);
+            return reference ?? { error: `No results found for ${imdbMatch ? 'IMDb' : 'TVDB'} ID ${externalId}!` };
+        } catch (error) {
+            return { error: tmdbClient.describeError(error, 'An error occurred while looking up the ID on TMDB!') };
+        }
+    }
+
+    return null;
+};
+
 /**
  * Query the TMDB API for the best movie or TV show matching "name", and return the corresponding details.
+ * If several results are close matches, the candidates are returned instead so the user can pick one.
+ * The search is skipped if "name" is a TMDB ID, IMDb ID, TVDB ID, or TMDB/IMDb URL, or if "selected"
+ * (a TMDB ID and media type) is passed.
  * @param {string} name 
+ * @param {{ id: number, mediaType: string }} selected 
  * @returns 
  */
-const fetchTMDBDetails = async (name) => {
-    const movieTypes = ['movie', 'film'];
-    const tvTypes = ['tv', 'television', 'series', 'show'];
-
+const fetchTMDBDetails = async (name, selected = null) => {
     const tmdbQuery = parseQueryString(name);
 
     // Perform validation on the search query
@@ -471,16 +1066,62 @@ const fetchTMDBDetails = async (name) => {
         return { error: 'If you specify an episode number, you must also specify the season number!' };
     }
 
+    // Search and fetch the details in the language and region requested in the query (if any)
+    const locale = getQueryLocale(tmdbQuery.filters);
+    return await tmdbClient.withLocale(locale, async () => {
+        const details = await fetchQueryDetails(tmdbQuery, selected);
+        if ((locale.language || locale.region) && !details.error && !details.candidates) {
+            setDetailsLocale(details, tmdbClient.getLocale());
+        }
+        return details;
+    });
+};
+
+/**
+ * Set the language and region "locale" on "details" and the details of the pages created with it
+ * (seasons, episodes, and collection movies), so they are stored on the pages.
+ * @param {*} details 
+ * @param {{ language: string, region: string }} locale 
+ */
+function setDetailsLocale(details, locale) {
+    details.locale = locale;
+    for (const relatedDetails of [...details.seasons ?? [], ...details.episodes ?? [], ...details.movies ?? []]) {
+        setDetailsLocale(relatedDetails, locale);
+    }
+    if (details.collection) {
+        setDetailsLocale(details.collection, locale);
+    }
+}
+
+/**
+ * Query the TMDB API for the best movie or TV show matching the parsed query "tmdbQuery" (see
+ * fetchTMDBDetails), and return the corresponding details.
+ * @param {*} tmdbQuery 
+ * @param {{ id: number, mediaType: string }} selected 
+ * @returns 
+ */
+const fetchQueryDetails = async (tmdbQuery, selected) => {
+    // Skip the search if the user already picked a result, or the query references a specific title
+    const reference = selected || await resolveDirectReference(tmdbQuery.mainQuery, tmdbQuery.filters);
+    if (reference?.error) {
+        return reference;
+    } else if (reference) {
+        const filters = { ...tmdbQuery.filters };
+        // Seasons and episodes in a URL or external ID take precedence over the filters (season 0 is the specials)
+        if (reference.season !== undefined && reference.season !== null) {
+            filters.season = String(reference.season);
+            filters.episode = reference.episode !== undefined && reference.episode !== null ? String(reference.episode) : filters.episode;
+        }
+        return await fetchResultDetails({ id: reference.id }, reference.mediaType, filters);
+    }
+
     // Set up the initial TMDB search
 
     const params = {
         query: tmdbQuery.mainQuery,
     };
 
-    const options = {
-        method: 'GET',
-        headers: headers
-    };
+    let searchPath;
 
     if (tmdbQuery.filters.type) {
         if (movieTypes.includes(tmdbQuery.filters.type)) {
@@ -488,113 +1129,50 @@ const fetchTMDBDetails = async (name) => {
             if (tmdbQuery.filters.year) {
                 params.primary_release_year = tmdbQuery.filters.year;
             }
-            options.url = `${baseTmdbUrl}/search/movie`;
+            searchPath = '/search/movie';
         } else if (tvTypes.includes(tmdbQuery.filters.type)) {
             // TV search type
             if (tmdbQuery.filters.year) {
                 params.year = tmdbQuery.filters.year;
             }
-            options.url = `${baseTmdbUrl}/search/tv`;
+            searchPath = '/search/tv';
+        } else if (collectionTypes.includes(tmdbQuery.filters.type)) {
+            // Collection search type
+            searchPath = '/search/collection';
         }
     } else {
         // Multi search type
-        options.url = `${baseTmdbUrl}/search/multi`;
+        searchPath = '/search/multi';
     }
 
-    options.params = params;
-
     try {
-        const searchResponse = await axios.request(options);
-        const result = searchResponse.data.results[0];
-
-        if (result) {
-            if (movieTypes.includes(tmdbQuery.filters.type) || result.media_type === 'movie') {
-                try {
-                    const { movieData } = await fetchMovieDetails(result.id);
-                    const movieDetails = constructDetails(movieData, false);
-                    return movieDetails;
-                } catch (error) {
-                    console.error('Error fetching movie details from TMDB:', error);
-                    return { error: 'An error occurred while fetching movie details from TMDB!' };
-                }
-            } else if (tvTypes.includes(tmdbQuery.filters.type) || result.media_type === 'tv') {
-                try {
-                    const { showData } = await fetchTelevisionShowDetails(result.id);
-                    const showDetails = constructDetails(showData, true);
-
-                    // Get a single season or episode if specified in the filters
-                    if (tmdbQuery.filters.season) {
-                        try {
-                            const { seasonData, episodesData } = await fetchTelevisionSeasonDetails(result.id, tmdbQuery.filters.season, tmdbQuery.filters.all_episodes ? true : false);
-                            const seasonDetails = await constructSeasonDetails(seasonData, showData);
-
-                            if (tmdbQuery.filters.episode) { // Get a specific episode for a specific season
-                                try {
-                                    const { episodeData } = await fetchTelevisionEpisodeDetails(result.id, tmdbQuery.filters.season, tmdbQuery.filters.episode);
-                                    const episodeDetails = await constructEpisodeDetails(episodeData, showData, seasonData);
-                                    return episodeDetails;
-                                } catch (error) {
-                                    console.error('Error fetching TV episode details from TMDB:', error);
-                                    return { error: 'An error occurred while fetching TV episode details from TMDB! Ensure the season and episode numbers are valid.' };
-                                }
-                            } else if (tmdbQuery.filters.all_episodes) { // Get all episodes for a specific season
-                                const episodeNumbers = episodesData.map(episode => episode.episode_number);
-
-                                const episodesPromises = episodeNumbers.map(async (episodeNumber) => {
-                                    const { episodeData } = await fetchTelevisionEpisodeDetails(result.id, tmdbQuery.filters.season, episodeNumber);
-                                    const episodeDetails = await constructEpisodeDetails(episodeData, showData, seasonData);
-                                    return episodeDetails;
-                                });
-
-                                const episodesDetails = await Promise.all(episodesPromises);
-                                seasonDetails.episodes = episodesDetails;
-                            }
-
-                            return seasonDetails;
-                        } catch (error) {
-                            console.error('Error fetching TV season details from TMDB:', error);
-                            return { error: 'An error occurred while fetching TV season data TMDB! Ensure the season number is valid.' };
-                        }
-                    }
-
-                    // Get season and episode details for television shows (if necessary)
-
-                    const trueFilters = ['true', 'yes'];
-                    const includeSeasons = trueFilters.includes(tmdbQuery.filters.all_seasons);
-                    const includeEpisodes = trueFilters.includes(tmdbQuery.filters.all_episodes);
-
-                    if (includeSeasons || includeEpisodes) {
-                        // Filter out Season 0 (Specials)
-                        const seasons = showData.seasons.filter(season => season.season_number > 0).map(season => season.season_number);
+        const searchData = await tmdbClient.get(searchPath, params);
 
-                        const seasonsPromises = seasons.map(async (season) => {
-                            const { seasonData, episodesData } = await fetchTelevisionSeasonDetails(result.id, season, includeEpisodes);
-                            const seasonDetails = await constructSeasonDetails(seasonData, showData);
-                            if (includeEpisodes) {
-                                const episodesPromises = episodesData.map(async (episodeData) => await constructEpisodeDetails(episodeData, showData, seasonData));
-                                seasonDetails.episodes = await Promise.all(episodesPromises);
-                            }
-                            return seasonDetails;
-                        });
+        // People can't be imported, so they are never considered a match
+        const results = searchData.results.filter(result => result.media_type !== 'person');
 
-                        const seasonsDetails = await Promise.all(seasonsPromises);
-                        showDetails.seasons = seasonsDetails;
-                    }
+        if (!results.length) {
+            return { error: 'No results found!' };
+        }
 
-                    return showDetails;
-                } catch (error) {
-                    console.error('Error fetching TV show details from TMDB:', error);
-                    return { error: 'An error occurred while fetching TV show details from TMDB!' };
-                }
-            } else {
-                return { error: 'No results found!' };
+        if (tmdbQuery.filters.pick) {
+            const pickedResult = results[parseInt(tmdbQuery.filters.pick) - 1];
+            if (!pickedResult) {
+                return { error: `There is no search result number ${tmdbQuery.filters.pick}!` };
             }
-        } else {
-            return { error: 'No results found!' };
+            return await fetchResultDetails(pickedResult, getResultMediaType(pickedResult, tmdbQuery.filters), tmdbQuery.filters);
         }
+
+        // Let the user pick a result if the top results are too close to call
+        const candidates = findCandidates(results, tmdbQuery.filters);
+        if (candidates.length > 1) {
+            return { candidates: candidates };
+        }
+
+        return await fetchResultDetails(results[0], getResultMediaType(results[0], tmdbQuery.filters), tmdbQuery.filters);
     } catch (error) {
         console.error('Error searching TMDB:', error);
-        return { error: 'An error occurred while searching TMDB!' };
+        return { error: tmdbClient.describeError(error, 'An error occurred while searching TMDB!') };
     }
 };
 
@@ -604,7 +1182,15 @@ module.exports = {
     fetchTelevisionShowDetails,
     fetchTelevisionSeasonDetails,
     fetchTelevisionEpisodeDetails,
+    fetchWatchProviders,
+    fetchCollectionDetails,
+    fetchPersonDetails,
     constructDetails,
+    constructCollectionDetails,
+    constructPersonDetails,
     constructSeasonDetails,
-    constructEpisodeDetails
+    constructEpisodeDetails,
+    parseQueryString,
+    getQueryLocale,
+    withEnglishFallback
 };
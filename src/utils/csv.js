@@ -0,0 +1,75 @@
+/**
+ * Parse the CSV text "content" (with a header row) into an object for each row, keyed by the
+ * column headers. Quoted fields may contain commas, quotes ("") and line breaks.
+ * @param {string} content
+ * @returns {Array<*>}
+ */
+const parseCsv = (content) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Skip the byte order mark some spreadsheet apps write
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [headers = [], ...records] = rows.filter(values => values.some(value => value.trim()));
+    return records.map(values => Object.fromEntries(headers.map((header, index) => [header.trim(), (values[index] ?? '').trim()])));
+};
+
+/**
+ * Format the objects "records" as CSV text, with a column for each of "headers". Fields containing
+ * commas, quotes, or line breaks are quoted.
+ * @param {Array<*>} records
+ * @param {Array<string>} headers
+ * @returns {string}
+ */
+const formatCsv = (records, headers) => {
+    const formatField = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [headers, ...records.map(record => headers.map(header => record[header]))];
+    return lines.map(values => values.map(formatField).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseCsv,
+    formatCsv
+};
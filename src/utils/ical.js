@@ -0,0 +1,109 @@
+// Maximum length of a content line in octets, longer lines are folded (RFC 5545)
+const maxLineLength = 75;
+
+/**
+ * Escape "text" for an iCalendar text value (backslashes, semicolons, commas, and line breaks).
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold the content line "line" into lines of at most 75 octets, each continuation starting with a
+ * space. Multi-byte characters are never split.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const char of line) {
+        const charLength = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = lines.length ? maxLineLength - 1 : maxLineLength;
+        if (currentLength + charLength > limit) {
+            lines.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+}
+
+/**
+ * Format the date "date" (YYYY-MM-DD) as an iCalendar date (YYYYMMDD).
+ * @param {string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * Get the day after the date "date" (YYYY-MM-DD), which ends an all-day event.
+ * @param {string} date
+ * @returns {string}
+ */
+function getNextDay(date) {
+    const nextDay = new Date(`${date}T00:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    return nextDay.toISOString().split('T')[0];
+}
+
+/**
+ * Format "events" as an iCalendar feed named "name", with an all-day event for each of them.
+ * Each event has a unique and stable "uid", a "date" (YYYY-MM-DD), a "summary", and optionally a
+ * "description" and "url".
+ * @param {string} name
+ * @param {Array<*>} events
+ * @returns {string}
+ */
+const formatCalendar = (name, events) => {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//tmdb-notion-integration//Upcoming releases//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${timestamp}`,
+            `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+            `DTEND;VALUE=DATE:${formatDate(getNextDay(event.date))}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    formatCalendar
+};
@@ -0,0 +1,92 @@
+/**
+ * Create a queue that runs tasks (API requests) within a concurrency and request-rate budget.
+ * Returns a function that adds a task to the queue and resolves with the task's result.
+ * @param {number} maxConcurrentRequests
+ * @param {number} maxRequestsPerSecond
+ * @returns {(task: Function) => Promise<*>}
+ */
+const createRequestQueue = (maxConcurrentRequests, maxRequestsPerSecond) => {
+    const queue = [];
+    const requestTimestamps = [];
+    let activeRequests = 0;
+    let queueTimer = null;
+
+    /**
+     * Start as many queued tasks as the concurrency and request-rate budget allow.
+     */
+    const processQueue = () => {
+        while (queue.length && activeRequests < maxConcurrentRequests) {
+            // Forget requests that started more than a second ago
+            const now = Date.now();
+            while (requestTimestamps.length && now - requestTimestamps[0] >= 1000) {
+                requestTimestamps.shift();
+            }
+
+            // Wait for the oldest request to leave the one second window if the rate budget is used up
+            if (requestTimestamps.length >= maxRequestsPerSecond) {
+                if (!queueTimer) {
+                    queueTimer = setTimeout(() => {
+                        queueTimer = null;
+                        processQueue();
+                    }, 1000 - (now - requestTimestamps[0]));
+                }
+                return;
+            }
+
+            const { task, resolve, reject } = queue.shift();
+            activeRequests++;
+            requestTimestamps.push(now);
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    activeRequests--;
+                    processQueue();
+                });
+        }
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        processQueue();
+    });
+};
+
+/**
+ * Wait for "ms" milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get an exponential backoff delay (with jitter) in milliseconds for the retry number "attempt".
+ * @param {number} attempt
+ * @param {number} baseDelay
+ * @returns {number}
+ */
+const getBackoffDelay = (attempt, baseDelay = 1000) => {
+    return baseDelay * 2 ** attempt + Math.floor(Math.random() * baseDelay);
+};
+
+/**
+ * Read the request setting "value" (from an environment variable) as an integer, or "defaultValue"
+ * if it isn't set, isn't a number, or is below "minimum". An explicit 0 is kept when "minimum"
+ * allows it (e.g. to turn off retries).
+ * @param {string} value
+ * @param {number} defaultValue
+ * @param {number} minimum
+ * @returns {number}
+ */
+const parseRequestSetting = (value, defaultValue, minimum = 0) => {
+    const number = parseInt(value);
+    return Number.isNaN(number) || number < minimum ? defaultValue : number;
+};
+
+module.exports = {
+    createRequestQueue,
+    wait,
+    getBackoffDelay,
+    parseRequestSetting
+};
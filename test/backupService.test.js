@@ -0,0 +1,81 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NOTION_DATABASE_ID = '11111111111111111111111111111111';
+
+const { notion } = require('../src/services/notionClient');
+const { formatBackup, parseBackup, restorePages } = require('../src/services/backupService');
+
+const databaseId = process.env.NOTION_DATABASE_ID;
+const database = {
+    properties: {
+        Title: { type: 'title' },
+        Keywords: { type: 'multi_select' },
+        Rating: { type: 'number' },
+        Related: { type: 'relation' }
+    }
+};
+const records = [{
+    id: 'page-1',
+    databaseId: databaseId,
+    icon: '🎬',
+    cover: null,
+    properties: {
+        Title: 'Crouching Tiger, Hidden Dragon',
+        Keywords: ['Warner Bros., Inc.', 'martial arts'],
+        Rating: 8,
+        Related: []
+    }
+}];
+
+/**
+ * Restore "records" into an empty database, and return the properties of the created pages.
+ * @param {Array<*>} records
+ * @returns {Promise<Array<*>>}
+ */
+async function restoreDeletedPages(records) {
+    const createdPages = [];
+    mock.method(notion.pages, 'retrieve', async () => {
+        throw Object.assign(new Error('Not found'), { code: 'object_not_found' });
+    });
+    mock.method(notion.databases, 'retrieve', async () => database);
+    mock.method(notion.pages, 'create', async ({ properties }) => {
+        createdPages.push(properties);
+        return { id: `new-${createdPages.length}` };
+    });
+
+    const summary = await restorePages(records);
+    assert.equal(summary.recreated.length, records.length);
+    return createdPages;
+}
+
+describe('formatBackup and parseBackup', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('read back a JSON backup unchanged', () => {
+        assert.deepEqual(parseBackup(formatBackup(records, 'json'), 'json'), records);
+    });
+
+    it('write list values to CSV as JSON arrays', () => {
+        const [header, row] = formatBackup(records, 'csv').split('\r\n');
+        assert.equal(header, '_id,_database,_icon,_cover,Title,Keywords,Rating,Related');
+        assert.ok(row.includes('"[""Warner Bros., Inc."",""martial arts""]"'));
+    });
+
+    it('restore list values with commas from a CSV backup', async () => {
+        const [properties] = await restoreDeletedPages(parseBackup(formatBackup(records, 'csv'), 'csv'));
+
+        assert.deepEqual(properties.Title.title.map(text => text.text.content).join(''), 'Crouching Tiger, Hidden Dragon');
+        assert.deepEqual(properties.Keywords, { multi_select: [{ name: 'Warner Bros., Inc.' }, { name: 'martial arts' }] });
+        assert.deepEqual(properties.Rating, { number: 8 });
+    });
+
+    it('restore comma separated list values from older CSV backups', async () => {
+        const csv = '_id,_database,_icon,_cover,Title,Keywords\r\npage-1,,,,Heat,"heist, los angeles"\r\n';
+        const [properties] = await restoreDeletedPages(parseBackup(csv, 'csv'));
+
+        assert.deepEqual(properties.Keywords, { multi_select: [{ name: 'heist' }, { name: 'los angeles' }] });
+    });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatCsv } = require('../src/utils/csv');
+
+describe('parseCsv', () => {
+    it('keys each row by the column headers', () => {
+        assert.deepEqual(parseCsv('Title,Year\nHeat,1995\nAlien,1979\n'), [
+            { Title: 'Heat', Year: '1995' },
+            { Title: 'Alien', Year: '1979' }
+        ]);
+    });
+
+    it('reads quoted fields with commas, quotes, and line breaks', () => {
+        assert.deepEqual(parseCsv('Title,Notes\r\n"Crouching Tiger, Hidden Dragon","The ""wire"" work\r\nis great"\r\n'), [
+            { Title: 'Crouching Tiger, Hidden Dragon', Notes: 'The "wire" work\r\nis great' }
+        ]);
+    });
+
+    it('skips the byte order mark, blank lines, and surrounding spaces', () => {
+        assert.deepEqual(parseCsv('\uFEFF Title , Year \n\nHeat , 1995\n\n'), [{ Title: 'Heat', Year: '1995' }]);
+    });
+
+    it('reads a last row without a line break, and fills missing fields with empty strings', () => {
+        assert.deepEqual(parseCsv('Title,Year\nHeat'), [{ Title: 'Heat', Year: '' }]);
+    });
+
+    it('returns no rows for an empty file', () => {
+        assert.deepEqual(parseCsv(''), []);
+    });
+});
+
+describe('formatCsv', () => {
+    it('writes a header row and a row for each record, in the order of the headers', () => {
+        assert.equal(formatCsv([{ Year: 1995, Title: 'Heat' }], ['Title', 'Year']), 'Title,Year\r\nHeat,1995\r\n');
+    });
+
+    it('quotes fields with commas, quotes, or line breaks, and leaves missing values empty', () => {
+        const records = [{ Title: 'Crouching Tiger, Hidden Dragon', Notes: 'The "wire" work\nis great', Year: null }];
+        assert.equal(formatCsv(records, ['Title', 'Notes', 'Year']), 'Title,Notes,Year\r\n"Crouching Tiger, Hidden Dragon","The ""wire"" work\nis great",\r\n');
+    });
+
+    it('formats records that parseCsv reads back unchanged', () => {
+        const records = [{ Title: 'Heat, "the movie"', Year: '1995' }, { Title: 'Alien', Year: '' }];
+        assert.deepEqual(parseCsv(formatCsv(records, ['Title', 'Year'])), records);
+    });
+});
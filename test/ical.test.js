@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCalendar } = require('../src/utils/ical');
+
+/**
+ * Get the content lines of the calendar text "calendar", with the folded lines joined back.
+ * @param {string} calendar
+ * @returns {Array<string>}
+ */
+function unfold(calendar) {
+    return calendar.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+describe('formatCalendar', () => {
+    it('writes an all-day event ending the next day for each event', () => {
+        const lines = unfold(formatCalendar('Releases', [
+            { uid: 'a@test', date: '2026-12-31', summary: 'Avatar: Fire and Ash', url: 'https://www.notion.so/a' }
+        ]));
+
+        assert.equal(lines[0], 'BEGIN:VCALENDAR');
+        assert.ok(lines.includes('X-WR-CALNAME:Releases'));
+        assert.ok(lines.includes('UID:a@test'));
+        assert.ok(lines.includes('DTSTART;VALUE=DATE:20261231'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+        assert.ok(lines.includes('URL:https://www.notion.so/a'));
+        assert.ok(!lines.some(line => line.startsWith('DESCRIPTION:')));
+        assert.equal(lines.at(-1), 'END:VCALENDAR');
+    });
+
+    it('escapes backslashes, semicolons, commas, and line breaks in text values', () => {
+        const lines = unfold(formatCalendar('Releases', [
+            { uid: 'a@test', date: '2026-01-01', summary: 'Crouching Tiger, Hidden Dragon; Part\\2', description: 'Line 1\r\nLine 2\nLine 3' }
+        ]));
+
+        assert.ok(lines.includes('SUMMARY:Crouching Tiger\\, Hidden Dragon\\; Part\\\\2'));
+        assert.ok(lines.includes('DESCRIPTION:Line 1\\nLine 2\\nLine 3'));
+    });
+
+    it('folds lines longer than 75 octets without splitting multi-byte characters', () => {
+        const summary = 'Amélie '.repeat(30);
+        const calendar = formatCalendar('Releases', [{ uid: 'a@test', date: '2026-01-01', summary: summary }]);
+
+        for (const line of calendar.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, `"${line}" is longer than 75 octets`);
+            assert.ok(!line.includes('�'));
+        }
+        assert.ok(unfold(calendar).includes(`SUMMARY:${summary}`));
+    });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { constructQuery } = require('../src/services/importService');
+
+describe('constructQuery', () => {
+    it('uses the TMDB ID first, as a movie unless the type is a TV show', () => {
+        assert.equal(constructQuery({ title: 'Heat', tmdbId: '949', imdbId: 'tt0113277' }), 'tmdb:movie/949;');
+        assert.equal(constructQuery({ title: 'Severance', type: 'tvSeries', tmdbId: '95396' }), 'tmdb:tv/95396;');
+    });
+
+    it('uses the IMDb ID when there is no TMDB ID', () => {
+        assert.equal(constructQuery({ title: 'Heat', imdbId: 'tt0113277', tmdbId: '' }), 'tt0113277;');
+    });
+
+    it('searches the title with the type and year filters', () => {
+        assert.equal(constructQuery({ title: 'Heat', year: '1995', type: 'Film' }), 'Heat[type=movie, year=1995];');
+        assert.equal(constructQuery({ title: 'The Office', type: 'tvMiniSeries', year: '2005' }), 'The Office[type=tv, year=2005];');
+        assert.equal(constructQuery({ title: 'Dark', type: 'show', year: 'unknown' }), 'Dark[type=tv];');
+    });
+
+    it('removes the query syntax characters from the title', () => {
+        assert.equal(constructQuery({ title: 'Title [Director\'s Cut]; Part 1' }), 'Title  Director\'s Cut   Part 1;');
+    });
+
+    it('returns null when there is nothing to search for', () => {
+        assert.equal(constructQuery({ title: '', imdbId: 'nm0000001', tmdbId: 'abc' }), null);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { schema, defaultSchema } = require('../src/config/notionSchema');
+const { constructWatchProgress } = require('../src/services/notionService');
+
+const aired = '2000-01-01';
+const upcoming = '2999-01-01';
+
+/**
+ * Construct a show page with the release status "status".
+ * @param {string} status
+ * @returns {*}
+ */
+function showPage(status) {
+    return {
+        id: 'show',
+        properties: {
+            [schema.status.name]: { type: 'status', status: { name: status } }
+        }
+    };
+}
+
+/**
+ * Construct the page of episode "episodeNumber" of season "seasonNumber".
+ * @param {number} seasonNumber
+ * @param {number} episodeNumber
+ * @param {boolean} watched
+ * @param {string} releaseDate
+ * @returns {*}
+ */
+function episodePage(seasonNumber, episodeNumber, watched, releaseDate = aired) {
+    return {
+        id: `S${seasonNumber}E${episodeNumber}`,
+        properties: {
+            [schema.title.name]: { type: 'title', title: [{ plain_text: `Episode ${episodeNumber}` }] },
+            [schema.seasonNumber.name]: { type: 'number', number: seasonNumber },
+            [schema.episodeNumber.name]: { type: 'number', number: episodeNumber },
+            [schema.releaseDate.name]: { type: 'date', date: { start: releaseDate } },
+            [schema.runtime.name]: { type: 'rich_text', rich_text: [{ plain_text: '45m' }] },
+            [schema.watched.name]: { type: 'checkbox', checkbox: watched }
+        }
+    };
+}
+
+describe('constructWatchProgress', () => {
+    before(() => {
+        schema.watched = defaultSchema.watched;
+        schema.timeRemaining = defaultSchema.timeRemaining;
+    });
+
+    after(() => {
+        schema.watched = null;
+        schema.timeRemaining = null;
+    });
+
+    it('start at the first episode of a show nothing was watched of', () => {
+        const progress = constructWatchProgress(showPage('Returning Series'), [episodePage(1, 2, false), episodePage(1, 1, false)]);
+        assert.deepEqual(progress, {
+            nextEpisode: 'S1E1: Episode 1',
+            episodesRemaining: 2,
+            timeRemaining: '1h 30m',
+            watchStatus: 'Not Started'
+        });
+    });
+
+    it('continue after the last watched episode', () => {
+        const progress = constructWatchProgress(showPage('Returning Series'), [
+            episodePage(1, 1, false),
+            episodePage(1, 2, true),
+            episodePage(2, 1, false)
+        ]);
+        assert.equal(progress.nextEpisode, 'S2E1: Episode 1');
+        assert.equal(progress.episodesRemaining, 2);
+        assert.equal(progress.watchStatus, 'Watching');
+    });
+
+    it('leave specials out', () => {
+        const progress = constructWatchProgress(showPage('Returning Series'), [episodePage(0, 1, false), episodePage(1, 1, true)]);
+        assert.equal(progress.episodesRemaining, 0);
+        assert.equal(progress.watchStatus, 'Caught Up');
+    });
+
+    it('show the upcoming episode once the aired ones are watched', () => {
+        const progress = constructWatchProgress(showPage('Returning Series'), [episodePage(1, 1, true), episodePage(1, 2, false, upcoming)]);
+        assert.deepEqual(progress, {
+            nextEpisode: `S1E2: Episode 2 (${upcoming})`,
+            episodesRemaining: 0,
+            timeRemaining: null,
+            watchStatus: 'Caught Up'
+        });
+    });
+
+    it('finish an ended show once every episode is watched', () => {
+        const episodePages = [episodePage(1, 1, true), episodePage(1, 2, true)];
+        assert.equal(constructWatchProgress(showPage('Ended'), episodePages).watchStatus, 'Finished');
+        assert.equal(constructWatchProgress(showPage('Canceled'), episodePages).watchStatus, 'Finished');
+        assert.equal(constructWatchProgress(showPage('Ended'), episodePages).nextEpisode, null);
+    });
+
+    it('keep an ended show caught up while an episode is still upcoming', () => {
+        const progress = constructWatchProgress(showPage('Ended'), [episodePage(1, 1, true), episodePage(1, 2, false, upcoming)]);
+        assert.equal(progress.watchStatus, 'Caught Up');
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRequestSetting, getBackoffDelay } = require('../src/utils/requestQueue');
+
+describe('parseRequestSetting', () => {
+    it('reads the setting as an integer', () => {
+        assert.equal(parseRequestSetting('7', 3), 7);
+        assert.equal(parseRequestSetting('12.5', 3), 12);
+    });
+
+    it('keeps an explicit 0 unless the minimum is higher', () => {
+        assert.equal(parseRequestSetting('0', 3), 0);
+        assert.equal(parseRequestSetting('0', 3, 1), 3);
+    });
+
+    it('uses the default when the setting is missing, not a number, or below the minimum', () => {
+        assert.equal(parseRequestSetting(undefined, 3), 3);
+        assert.equal(parseRequestSetting('', 3), 3);
+        assert.equal(parseRequestSetting('abc', 3), 3);
+        assert.equal(parseRequestSetting('-1', 3), 3);
+    });
+});
+
+describe('getBackoffDelay', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('doubles the delay with each attempt', () => {
+        mock.method(Math, 'random', () => 0);
+        assert.deepEqual([0, 1, 2, 3].map(attempt => getBackoffDelay(attempt)), [1000, 2000, 4000, 8000]);
+        assert.equal(getBackoffDelay(2, 100), 400);
+    });
+
+    it('adds up to one base delay of jitter', () => {
+        mock.method(Math, 'random', () => 0.999);
+        assert.equal(getBackoffDelay(0), 1999);
+        assert.equal(getBackoffDelay(1, 100), 299);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveRating } = require('../src/services/tmdbAccountService');
+
+describe('resolveRating', () => {
+    it('do nothing when neither side changed', () => {
+        assert.equal(resolveRating(7.5, 7.5, 7.5), null);
+        assert.equal(resolveRating(null, null, null), null);
+    });
+
+    it('do nothing when the Notion rating rounds to the synced rating', () => {
+        assert.equal(resolveRating(7.5, 7.5, 7.3), null);
+    });
+
+    it('push a rating changed only in Notion, rounded', () => {
+        assert.deepEqual(resolveRating(7.5, 7.5, 8.2), { action: 'push', rating: 8, conflict: false });
+        assert.deepEqual(resolveRating(null, null, 6), { action: 'push', rating: 6, conflict: false });
+    });
+
+    it('push a rating removed in Notion', () => {
+        assert.deepEqual(resolveRating(7.5, 7.5, null), { action: 'push', rating: null, conflict: false });
+    });
+
+    it('pull a rating changed only on TMDB', () => {
+        assert.deepEqual(resolveRating(7.5, 9, 7.3), { action: 'pull', rating: 9, conflict: false });
+        assert.deepEqual(resolveRating(7.5, null, 7.5), { action: 'pull', rating: null, conflict: false });
+    });
+
+    it('only save the rating when both sides changed to the same rating', () => {
+        assert.deepEqual(resolveRating(7.5, 8, 8.1), { action: null, rating: 8, conflict: false });
+    });
+
+    it('keep the side that wins a conflict', () => {
+        assert.deepEqual(resolveRating(7.5, 9, 6.2, 'notion'), { action: 'push', rating: 6, conflict: true });
+        assert.deepEqual(resolveRating(7.5, 9, 6.2, 'tmdb'), { action: 'pull', rating: 9, conflict: true });
+    });
+});
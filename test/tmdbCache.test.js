@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-cache-')), 'cache.json');
+process.env.TMDB_CACHE_FILE = cacheFile;
+process.env.TMDB_CACHE_MAX_ENTRIES = '3';
+
+const signalListeners = process.listenerCount('SIGTERM');
+const tmdbCache = require('../src/services/tmdbCache');
+
+const hour = 60 * 60 * 1000;
+
+describe('getCacheKey', () => {
+    it('sorts the parameters and skips the empty ones', () => {
+        assert.equal(tmdbCache.getCacheKey('/search/movie', { query: 'Heat', page: 1, year: null, region: undefined }), '/search/movie?page=1&query=Heat');
+    });
+
+    it('is the path alone without parameters', () => {
+        assert.equal(tmdbCache.getCacheKey('/movie/949'), '/movie/949');
+        assert.equal(tmdbCache.getCacheKey('/movie/949', {}), '/movie/949');
+    });
+});
+
+describe('get and set', () => {
+    let now;
+
+    beforeEach(() => {
+        now = Date.now();
+        mock.method(Date, 'now', () => now);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('expires each response after the time to live of its endpoint', () => {
+        tmdbCache.set('search', '/search/movie', 'search results');
+        tmdbCache.set('movie', '/movie/949', 'movie details');
+
+        now += 2 * hour;
+        assert.equal(tmdbCache.get('search'), undefined);
+        assert.equal(tmdbCache.get('movie'), 'movie details');
+
+        now += 11 * hour;
+        assert.equal(tmdbCache.get('movie'), undefined);
+    });
+
+    it('skips the cache within bypass', async () => {
+        tmdbCache.set('person', '/person/1', 'person details');
+        assert.equal(await tmdbCache.bypass(async () => tmdbCache.get('person')), undefined);
+        assert.equal(tmdbCache.get('person'), 'person details');
+    });
+
+    it('evicts the least recently set responses when full', () => {
+        for (const key of ['a', 'b', 'c']) {
+            tmdbCache.set(key, '/movie/1', key);
+        }
+        tmdbCache.set('a', '/movie/1', 'a again');
+        tmdbCache.set('d', '/movie/1', 'd');
+
+        assert.equal(tmdbCache.get('b'), undefined);
+        assert.deepEqual(['a', 'c', 'd'].map(tmdbCache.get), ['a again', 'c', 'd']);
+    });
+});
+
+describe('init', () => {
+    it('only touches the cache file and process signals once called', () => {
+        assert.equal(process.listenerCount('SIGTERM'), signalListeners);
+        assert.equal(fs.existsSync(cacheFile), false);
+    });
+
+    it('loads the saved responses that haven\'t expired', () => {
+        fs.writeFileSync(cacheFile, JSON.stringify([
+            ['saved', { data: 'saved details', expiresAt: Date.now() + hour }],
+            ['expired', { data: 'expired details', expiresAt: Date.now() - 1 }]
+        ]));
+
+        tmdbCache.init();
+
+        assert.equal(process.listenerCount('SIGTERM'), signalListeners + 1);
+        assert.equal(tmdbCache.get('saved'), 'saved details');
+        assert.equal(tmdbCache.get('expired'), undefined);
+    });
+});
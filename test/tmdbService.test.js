@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQueryString, getQueryLocale, withEnglishFallback } = require('../src/services/tmdbService');
+
+describe('parseQueryString', () => {
+    it('split the main query from the filters', () => {
+        assert.deepEqual(parseQueryString('The Office [t=tv, y=2005];'), {
+            mainQuery: 'The Office',
+            filters: { type: 'tv', year: '2005' }
+        });
+    });
+
+    it('read the language and region filters', () => {
+        assert.deepEqual(parseQueryString('Amélie [language: FR-ca, region=de];').filters, { lang: 'fr-ca', region: 'de' });
+    });
+
+    it('skip invalid filters', () => {
+        assert.deepEqual(parseQueryString('Amélie [lang=french, region=deu, color=blue];').filters, {});
+    });
+
+    it('return no filters without brackets', () => {
+        assert.deepEqual(parseQueryString('Amélie;'), { mainQuery: 'Amélie', filters: {} });
+    });
+});
+
+describe('getQueryLocale', () => {
+    it('format the language and region the way TMDB expects', () => {
+        assert.deepEqual(getQueryLocale({ lang: 'fr-ca', region: 'de' }), { language: 'fr-CA', region: 'DE' });
+        assert.deepEqual(getQueryLocale({ lang: 'fr' }), { language: 'fr', region: null });
+    });
+
+    it('return no locale when none was requested', () => {
+        assert.deepEqual(getQueryLocale({}), { language: null, region: null });
+    });
+});
+
+describe('withEnglishFallback', () => {
+    const translations = {
+        translations: [
+            { iso_639_1: 'en', iso_3166_1: 'GB', data: { title: 'Amelie', overview: 'British overview' } },
+            { iso_639_1: 'en', iso_3166_1: 'US', data: { title: 'Amelie', overview: 'American overview', tagline: '' } }
+        ]
+    };
+
+    it('fill in the untranslated fields with the US English translation', () => {
+        const data = withEnglishFallback({ title: 'Die fabelhafte Welt der Amélie', overview: '', tagline: '', translations: translations });
+        assert.equal(data.title, 'Die fabelhafte Welt der Amélie');
+        assert.equal(data.overview, 'American overview');
+        assert.equal(data.tagline, '');
+    });
+
+    it('use another English translation without a US one', () => {
+        const data = withEnglishFallback({ overview: '', translations: { translations: translations.translations.slice(0, 1) } });
+        assert.equal(data.overview, 'British overview');
+    });
+
+    it('leave the data unchanged without an English translation', () => {
+        const data = { overview: '', translations: { translations: [] } };
+        assert.equal(withEnglishFallback(data), data);
+    });
+});